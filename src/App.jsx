@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useRef, useMemo } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, useNavigate } from 'react-router-dom';
 import * as ABCJS from 'abcjs';
 import * as Tone from 'tone';
@@ -30,8 +30,9 @@ import { incrementExercisesGenerated, updateLastPracticed } from './services/dat
 import { AuthProvider } from './contexts/AuthProvider';
 import { ChordsProvider } from './contexts/ChordsProvider';
 import ThemeProvider from './contexts/ThemeProvider';
-import { generateRandomABC } from './utils/musicGenerator';
+import { generateRandomABC, getPlaybackBeats, getMetronomeClick } from './utils/musicGenerator';
 import { initializeMIDI } from './utils/midiManager';
+import { analyzeDifficulty, getDifficultyLabel, DIFFICULTY_FACTORS } from './utils/difficultyAnalyzer';
 import { loadUserSettings, saveUserSettings, DEFAULT_SETTINGS, incrementGuestExercisesGenerated, saveGuestExercise } from './services/settingsService';
 
 const ProtectedRoute = ({ children }) => {
@@ -39,12 +40,20 @@ const ProtectedRoute = ({ children }) => {
   return isAuthenticated ? children : <Navigate to="/login" replace />;
 };
 
-const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNotes = new Set(), correctNotesCount = 0, wrongNotesCount = 0, onCorrectNote, onWrongNote, onResetScoring, onPracticeEnd, isMetronomeActive, onMetronomeToggle, showPostPracticeResults = false, onResetPostPracticeResults, onSaveExercise, user }) => {
+const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNotes = new Set(), correctNotesCount = 0, wrongNotesCount = 0, onCorrectNote, onWrongNote, onResetScoring, onPracticeEnd, isMetronomeActive, onMetronomeToggle, showPostPracticeResults = false, onResetPostPracticeResults, onSaveExercise, replaySeed = null, onReplaySeedUsed, user }) => {
   const navigate = useNavigate();
   
   // Current ABC notation and note metadata
   const [abcNotation, setAbcNotation] = useState('');
   const [noteMetadata, setNoteMetadata] = useState([]);
+  const [measureMeters, setMeasureMeters] = useState([]);
+  const [generationWarnings, setGenerationWarnings] = useState([]);
+  const [exerciseSeed, setExerciseSeed] = useState(null);
+
+  // Difficulty estimate of the current exercise at the selected tempo
+  const difficulty = useMemo(() => (
+    noteMetadata.length > 0 ? analyzeDifficulty(noteMetadata, { tempo: settings.tempo }) : null
+  ), [noteMetadata, settings.tempo]);
 
   // Loading state
   const [isGenerating, setIsGenerating] = useState(false);
@@ -263,8 +272,8 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
     console.log(`Successfully highlighted note ID ${noteId} as ${highlightType} at cursor position`);
   }, []);
 
-  // Generate new exercise
-  const handleGenerateNew = useCallback(async () => {
+  // Generate new exercise (pass a seed to regenerate a particular exercise)
+  const handleGenerateNew = useCallback(async (seed = null) => {
     setIsGenerating(true);
     setIsVisualsReady(false);
     
@@ -275,9 +284,12 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
     
     try {
       await new Promise(resolve => setTimeout(resolve, 100));
-      const result = generateRandomABC(settings);
+      const result = generateRandomABC({ ...settings, seed });
       setAbcNotation(result.abcNotation);
       setNoteMetadata(result.noteMetadata);
+      setMeasureMeters(result.measureMeters);
+      setGenerationWarnings(result.warnings);
+      setExerciseSeed(result.seed);
       
       // Initialize note tracking map with 'unplayed' status
       const initialTrackingMap = new Map();
@@ -417,12 +429,14 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
     }
 
     // Create TimingCallbacks for precise synchronization
+    // Beats are counted as abcjs counts them, subdivided further where the meter's beat grouping needs it
+    const playbackBeats = getPlaybackBeats(settings.timeSignature, settings.beatGrouping);
 
     let timingCallbacks;
     try {
       timingCallbacks = new ABCJS.TimingCallbacks(visualObjectRef.current, {
         qpm: settings.tempo, // Quarter notes per minute - matches settings
-        beatSubdivisions: 4, // Get callbacks on 16th note boundaries for smoothness
+        beatSubdivisions: 4 * playbackBeats.beatSubdivisions, // Get callbacks on 16th note boundaries for smoothness
         extraMeasuresAtBeginning: isPracticeMode ? 2 : 0, // Add 2 countdown measures for practice mode
         
         // Event callback - called for each musical event (note, rest, etc.)
@@ -445,6 +459,10 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
             const wrongNotesList = [];
             
             noteTrackingMap.forEach((note) => {
+              // Rests only count when a key was struck during them
+              if (note.isRest && note.status !== 'incorrect') {
+                return;
+              }
               if (note.status === 'correct') {
                 correctCount++;
                 correctNotesList.push(note.expectedNote || note.abcNotation);
@@ -460,7 +478,7 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
               correctCount,
               wrongCount,
               unplayedCount,
-              totalNotes: noteTrackingMap.size,
+              totalNotes: correctCount + wrongCount + unplayedCount,
               correctNotes: correctNotesList,
               wrongNotes: wrongNotesList
             });
@@ -520,8 +538,7 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
           const currentTimeInBeats = (event.milliseconds / 1000) * (tempo / 60);
           
           // Calculate dynamic countdown beats based on time signature
-          const [beatsPerMeasure] = settings.timeSignature.split('/').map(Number);
-          const countdownBeats = beatsPerMeasure * 2; // 2 measures countdown
+          const countdownBeats = playbackBeats.beatsPerMeasure * 2; // 2 measures countdown
           
           if (currentTimeInBeats < countdownBeats) {
             // During countdown - hide cursor by positioning it off-screen
@@ -566,29 +583,34 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
           
           // Only process notes after countdown period
           // Calculate dynamic countdown beats based on time signature
-          const [beatsPerMeasure] = settings.timeSignature.split('/').map(Number);
-          const countdownBeats = beatsPerMeasure * 2; // 2 measures countdown
+          const countdownBeats = playbackBeats.beatsPerMeasure * 2; // 2 measures countdown
           if (currentTimeInBeats >= countdownBeats) {
             const activeNotes = new Set();
             const activeNoteIds = new Set();
             
+            // A pickup measure is timed from the end of a bar, so the music starts this many eighth notes into it
+            const pickupNotes = noteMetadata.filter(noteData => noteData.measureIndex === 0);
+            const pickupOffset = pickupNotes.length > 0 ? Math.min(...pickupNotes.map(noteData => noteData.startTime)) : 0;
+
             // Find notes that should be active at the current time
             // Note metadata uses eighth-note units, so we convert to quarter-note beats for comparison
             noteMetadata.forEach(noteData => {
-              // Convert measure-relative timing to absolute timing in eighth-note units
-              const beatsPerMeasure = 8; // 4/4 time with L=1/8 (eighth note units)
-              const absoluteStartTime = noteData.startTime + (noteData.measureIndex * beatsPerMeasure);
+              // Convert measure-relative timing to absolute timing in eighth-note units (measures differ in length when the meter changes)
+              const absoluteStartTime = noteData.measureStartTime + noteData.startTime - pickupOffset;
               const absoluteEndTime = absoluteStartTime + noteData.duration;
               
-              // Convert from eighth-note units to quarter-note beats for ABCJS timing comparison
-              const absoluteStartBeat = absoluteStartTime / 2;
-              const absoluteEndBeat = absoluteEndTime / 2;
+              // Convert from eighth-note units to playback beats for ABCJS timing comparison
+              const absoluteStartBeat = absoluteStartTime / playbackBeats.eighthsPerBeat;
+              const absoluteEndBeat = absoluteEndTime / playbackBeats.eighthsPerBeat;
               
               // Adjust for countdown offset
               const adjustedCurrentTime = currentTimeInBeats - countdownBeats;
               
               if (adjustedCurrentTime >= absoluteStartBeat && adjustedCurrentTime < absoluteEndBeat) {
-                activeNotes.add(noteData.expectedNote);
+                // Rests are active (so a key struck during them can be penalized) but expect no note
+                if (!noteData.isRest) {
+                  activeNotes.add(noteData.expectedNote);
+                }
                 activeNoteIds.add(noteData.id);
               }
             });
@@ -657,8 +679,7 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
           
           // Handle countdown phase for practice mode
           if (isPracticeMode) {
-            const [beatsPerMeasure] = settings.timeSignature.split('/').map(Number);
-            const countdownTotalBeats = beatsPerMeasure * 2; // 2 measures countdown
+            const countdownTotalBeats = playbackBeats.beatsPerMeasure * 2; // 2 measures countdown
             
             // Since extraMeasuresAtBeginning doesn't seem to work in this version of ABCJS,
             // we'll create our own countdown by treating the first 8 beats as countdown
@@ -677,22 +698,25 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
           // Beat info for debugging display
           setBeatInfo(`Beat ${beatNumber}/${totalBeats}`);
           
-          // Trigger metronome on whole beat counts (including countdown beats)
-          const roundedBeat = Math.round(beatNumber);
-          const isWholeBeat = Math.abs(beatNumber - roundedBeat) < 0.1;
+          // Trigger metronome on each beat of the beat grouping (including countdown beats); the countdown
+          // is whole bars, so only the music after it is shifted by a pickup
+          const countdownTotalBeats = playbackBeats.beatsPerMeasure * 2; // 2 measures countdown
+          const pickupNotes = noteMetadata.filter(noteData => noteData.measureIndex === 0);
+          const pickupOffset = pickupNotes.length > 0 ? Math.min(...pickupNotes.map(noteData => noteData.startTime)) : 0;
+          const click = isPracticeMode && beatNumber < countdownTotalBeats
+            ? getMetronomeClick(settings.timeSignature, beatNumber, settings.beatGrouping)
+            : getMetronomeClick(settings.timeSignature, beatNumber - (isPracticeMode ? countdownTotalBeats : 0), settings.beatGrouping, pickupOffset, measureMeters);
           
           
           // For practice mode, trigger metronome during countdown OR if metronome is active
           // Use ref instead of state to avoid async timing issues
-          const [beatsPerMeasure] = settings.timeSignature.split('/').map(Number);
-          const countdownTotalBeats = beatsPerMeasure * 2; // 2 measures countdown
           const shouldTriggerMetronome = isPracticeMode ? 
             (beatNumber < countdownTotalBeats || isMetronomeActiveRef.current) : // Countdown always plays, then only if metronome active
             isMetronomeActiveRef.current; // Non-practice mode only if metronome active
           
           
-          if (shouldTriggerMetronome && metronomeTriggerRef.current && isWholeBeat && beatNumber < totalBeats) {
-            metronomeTriggerRef.current();
+          if (shouldTriggerMetronome && metronomeTriggerRef.current && click && beatNumber < totalBeats) {
+            metronomeTriggerRef.current(click);
           }
         },
       
@@ -749,7 +773,7 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
       }
     }
     
-  }, [settings.tempo, settings.timeSignature, onPracticeEnd, noteMetadata, noteTrackingMap, onMetronomeToggle, createCursorControl, resetAllNoteHighlighting]);
+  }, [settings.tempo, settings.timeSignature, settings.beatGrouping, onPracticeEnd, noteMetadata, measureMeters, noteTrackingMap, onMetronomeToggle, createCursorControl, resetAllNoteHighlighting]);
 
   // Handle play button click
   const handlePlayClick = useCallback(async () => {
@@ -902,11 +926,16 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
       // First time mounting - generate music once
       hasGeneratedInitialRef.current = true;
       prevSettingsRef.current = settings;
-      handleGenerateNew();
+      handleGenerateNew(replaySeed);
     } else if (settingsChanged) {
       // Settings deliberately changed - regenerate
       prevSettingsRef.current = settings;
-      handleGenerateNew();
+      handleGenerateNew(replaySeed);
+    }
+
+    // A loaded exercise's seed replays it once; later exercises are new
+    if (replaySeed != null && onReplaySeedUsed) {
+      onReplaySeedUsed();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [settings]); // Runs on mount and when settings change
@@ -1061,8 +1090,17 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
       
       // If note wasn't processed as correct, check if it's a wrong note
       if (!noteProcessed && !expectedNotes.has(pressedNote)) {
-        // Completely wrong note - highlight the first unplayed note at current position as incorrect
-        for (const noteId of currentActiveNoteIds) {
+        // Completely wrong note - highlight the first unplayed note at current position as incorrect,
+        // or the rest being played through when no note is left to play here
+        const unplayedNoteIds = Array.from(currentActiveNoteIds).filter(noteId => {
+          const trackedNote = noteTrackingMap.get(noteId);
+          return trackedNote && trackedNote.status === 'unplayed';
+        });
+        const unplayedNotesFirst = [
+          ...unplayedNoteIds.filter(noteId => !noteTrackingMap.get(noteId).isRest),
+          ...unplayedNoteIds.filter(noteId => noteTrackingMap.get(noteId).isRest)
+        ];
+        for (const noteId of unplayedNotesFirst) {
           const trackedNote = noteTrackingMap.get(noteId);
           if (trackedNote && trackedNote.status === 'unplayed') {
             // Mark note as incorrect and update tracking
@@ -1210,7 +1248,7 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
               <HamburgerMenu
                 settings={settings}
                 onSettingsChange={onSettingsChange}
-                onSaveExercise={onSaveExercise}
+                onSaveExercise={() => onSaveExercise(exerciseSeed)}
               />
             </div>
           </div>
@@ -1231,6 +1269,15 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
       {/* Main Content */}
       <main className="flex-1 max-w-7xl mx-auto w-full px-4 sm:px-6 lg:px-8 py-8">
 
+        {/* Settings the generator had to work around (e.g. a pattern that cannot fit the meter) */}
+        {generationWarnings.length > 0 && (
+          <div className="mb-4 px-4 py-2 rounded-lg bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-300 dark:border-yellow-700 text-center">
+            {generationWarnings.map(warning => (
+              <p key={warning} className="text-sm text-yellow-800 dark:text-yellow-200">{warning}</p>
+            ))}
+          </div>
+        )}
+
         {/* Music Display Section */}
         <MusicDisplay
           abcNotation={abcNotation}
@@ -1242,13 +1289,36 @@ const PracticeView = ({ settings, onSettingsChange, onTempoClick, pressedMidiNot
           showPostPracticeResults={showPostPracticeResults}
         />
 
+        {/* Difficulty estimate with the rating (0-10) of each factor, and the seed that regenerates this exercise */}
+        {difficulty && (
+          <div className="mt-4 flex flex-wrap items-center justify-center gap-2 text-sm">
+            <span className="font-semibold text-gray-800 dark:text-gray-200">
+              Difficulty: {difficulty.score}/100 ({getDifficultyLabel(difficulty.score)})
+            </span>
+            {DIFFICULTY_FACTORS.map(factor => (
+              <span
+                key={factor.id}
+                className="badge badge-outline"
+                title={`${factor.description}: ${difficulty.breakdown[factor.id].value}`}
+              >
+                {factor.label} {difficulty.breakdown[factor.id].rating}
+              </span>
+            ))}
+            {exerciseSeed !== null && (
+              <span className="text-gray-500 dark:text-gray-400" title="Saved with the exercise so it can be regenerated exactly">
+                Seed: {exerciseSeed}
+              </span>
+            )}
+          </div>
+        )}
+
         {/* Generate Button */}
         <div className="text-center mt-6">
           <button 
             className={`btn btn-primary btn-lg ${isGenerating ? 'loading' : ''} ${
               (isGenerating || isPlaying || isPracticing) ? 'opacity-50 cursor-not-allowed' : ''
             }`}
-            onClick={handleGenerateNew}
+            onClick={() => handleGenerateNew()}
             disabled={isGenerating || isPlaying || isPracticing}
           >
             {isGenerating ? (
@@ -1272,6 +1342,9 @@ function AppContent() {
   
   // Settings state - will be loaded from persistence
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  // Seed of a loaded exercise, used for the next exercise only
+  const [replaySeed, setReplaySeed] = useState(null);
+  const clearReplaySeed = useCallback(() => setReplaySeed(null), []);
   const [settingsLoaded, setSettingsLoaded] = useState(false);
 
   // Tempo modal state
@@ -1296,6 +1369,9 @@ function AppContent() {
   // Refs to track current scoring values without causing re-renders
   const correctNotesCountRef = useRef(0);
   const wrongNotesCountRef = useRef(0);
+
+  // Seed of the exercise being saved, set when the save modal opens
+  const saveSeedRef = useRef(null);
   
   // Score modal state
   const [scoreModalOpen, setScoreModalOpen] = useState(false);
@@ -1332,7 +1408,10 @@ function AppContent() {
 
   // Handle loading a saved exercise
   const handleLoadExercise = useCallback((exerciseSettings) => {
-    setSettings(exerciseSettings);
+    // The seed belongs to the saved exercise, not to the user's settings
+    const { seed = null, ...loadedSettings } = exerciseSettings;
+    setReplaySeed(seed);
+    setSettings(loadedSettings);
   }, []);
 
   const handleTempoChange = useCallback(async (newTempo) => {
@@ -1434,8 +1513,9 @@ function AppContent() {
     wrongNotesCountRef.current = 0;
   }, []);
 
-  // Handle save exercise - open modal
-  const handleSaveExercise = useCallback(() => {
+  // Handle save exercise - open modal, keeping the seed of the exercise on screen (if any) to save with it
+  const handleSaveExercise = useCallback((seed = null) => {
+    saveSeedRef.current = seed;
     openSaveModal();
   }, [openSaveModal]);
 
@@ -1480,24 +1560,44 @@ function AppContent() {
         const exerciseData = {
           exercise_name: exerciseName.trim(),
           key_signature: settings.key || 'C',
+          minor_mode: settings.minorMode || 'natural',
+          modulation: settings.modulation || 'none',
           time_signature: settings.timeSignature || '4/4',
+          beat_grouping: settings.beatGrouping || null,
+          meter_changes: settings.meterChanges || false,
+          clef_changes: settings.clefChanges || false,
+          staff_mode: settings.staffMode || 'grand',
+          phrase_structure: settings.phraseStructure || 'none',
+          interval_weights: settings.intervalWeights || null,
+          direction_weights: settings.directionWeights || null,
+          max_consecutive_leaps: settings.maxConsecutiveLeaps ?? null,
+          leap_recovery: settings.leapRecovery || false,
+          seed: saveSeedRef.current,
           measures: settings.measures || 8,
           tempo: settings.tempo || 120,
           intervals: settings.intervals || [1, 2, 3, 4, 5],
           note_durations: settings.noteDurations || ['1/8', '1/4'],
+          tied_notes: settings.tiedNotes || false,
+          syncopation: settings.syncopation || 'none',
+          rest_density: settings.restDensity || 'none',
           chord_progressions: settings.chordProgressions || ['pop'],
+          custom_progression: settings.customProgression || '',
           left_hand_patterns: settings.leftHandPatterns || ['block-chords'],
           left_hand_broken_chords: settings.leftHandBrokenChords || ['1-3-5-3'],
           right_hand_patterns: settings.rightHandPatterns || ['single-notes'],
           right_hand_intervals: settings.rightHandIntervals || ['2nd'],
           right_hand_4_note_chords: settings.rightHand4NoteChords || ['major'],
           swap_hand_patterns: settings.swapHandPatterns || false,
+          practice_mode: settings.practiceMode || 'standard',
           chord_types: settings.chordTypes || ['major', 'minor'],
           chord_inversions: settings.chordInversions || ['root'],
           chord_voicings: settings.chordVoicings || ['closed'],
           chord_rhythms: settings.chordRhythms || ['straight'],
           melodic_patterns: settings.melodicPatterns || ['melodies'],
           melodic_articulations: settings.melodicArticulations || ['legato'],
+          chromatic_notes: settings.chromaticNotes || false,
+          pickup_measure: settings.pickupMeasure || false,
+          final_cadence: settings.finalCadence || false,
           music_scale: settings.musicScale || 1.0,
           selected_level: settings.selectedLevel
         };
@@ -1513,7 +1613,7 @@ function AppContent() {
         }
       } else {
         // Save exercise using the database service for authenticated users
-        const result = await ExerciseService.saveExercise(exerciseName, settings, user.id);
+        const result = await ExerciseService.saveExercise(exerciseName, { ...settings, seed: saveSeedRef.current }, user.id);
         
         if (result.success) {
           // Show success notification
@@ -1846,6 +1946,8 @@ function AppContent() {
                     showPostPracticeResults={showPostPracticeResults}
                     onResetPostPracticeResults={resetPostPracticeResults}
                     onSaveExercise={handleSaveExercise}
+                    replaySeed={replaySeed}
+                    onReplaySeedUsed={clearReplaySeed}
                     user={user}
                   />
                 </ProtectedRoute>
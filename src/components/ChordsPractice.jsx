@@ -5,6 +5,7 @@ import { useChords } from '../contexts/useChords';
 import { 
   AVAILABLE_CHORD_TYPES, 
   AVAILABLE_CHORD_INVERSIONS, 
+  AVAILABLE_CHORD_VOICINGS, 
   AVAILABLE_LEFT_HAND_PATTERNS, 
   AVAILABLE_CHORD_RHYTHMS 
 } from '../utils/musicGenerator';
@@ -17,6 +18,8 @@ const ChordsPractice = ({ settings, onSettingsChange }) => {
     toggleChordType,
     selectedChordInversions,
     toggleChordInversion,
+    selectedChordVoicings,
+    toggleChordVoicing,
     selectedChordRhythms,
     toggleChordRhythm
   } = useChords();
@@ -34,6 +37,20 @@ const ChordsPractice = ({ settings, onSettingsChange }) => {
     onSettingsChange(newSettings);
   };
 
+  const handleStartPractice = () => {
+    // Carry the chord selections into settings so the generator builds chord practice measures
+    const newSettings = {
+      ...settings,
+      practiceMode: 'chords',
+      chordTypes: selectedChordTypes,
+      chordInversions: selectedChordInversions,
+      chordVoicings: selectedChordVoicings,
+      chordRhythms: selectedChordRhythms
+    };
+    onSettingsChange(newSettings);
+    navigate('/practice');
+  };
+
   const renderToggleButton = (item, isSelected, onToggle) => {
     return (
       <button
@@ -151,6 +168,30 @@ const ChordsPractice = ({ settings, onSettingsChange }) => {
             </div>
           </div>
 
+          {/* Chord Voicings Section */}
+          <div className="card bg-white shadow-lg animate-slide-up">
+            <div className="card-body p-8">
+              <div className="text-center mb-6">
+                <h3 className="text-2xl font-bold text-gray-900 mb-4">
+                  Chord Voicings
+                </h3>
+                <p className="text-gray-600">
+                  Select which chord voicings to practice
+                </p>
+              </div>
+              
+              <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+                {AVAILABLE_CHORD_VOICINGS.map((voicing) => 
+                  renderToggleButton(
+                    voicing, 
+                    selectedChordVoicings.includes(voicing.id), 
+                    toggleChordVoicing
+                  )
+                )}
+              </div>
+            </div>
+          </div>
+
           {/* Chord Patterns Section */}
           <div className="card bg-white shadow-lg animate-slide-up">
             <div className="card-body p-8">
@@ -207,7 +248,7 @@ const ChordsPractice = ({ settings, onSettingsChange }) => {
         <div className="text-center animate-scale-in">
           <button 
             className="btn btn-success btn-lg px-8 py-4"
-            onClick={() => navigate('/practice')}
+            onClick={handleStartPractice}
           >
             <FaPlay className="mr-3" />
             Start Chord Practice
@@ -8,7 +8,7 @@ import DarkModeToggle from './DarkModeToggle';
 import TempoSelector from './TempoSelector';
 import MetronomeButton from './MetronomeButton';
 import { incrementExercisesGenerated, updateLastPracticed } from '../services/database';
-import { generateRandomABC } from '../utils/musicGenerator';
+import { generateRandomABC, getPlaybackBeats, getMetronomeClick } from '../utils/musicGenerator';
 import { incrementGuestExercisesGenerated } from '../services/settingsService';
 import { getLevelSettings, saveUserLevelOverrides } from '../services/levelSettingsService';
 
@@ -43,13 +43,16 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
   const [abcNotation, setAbcNotation] = useState('');
   // eslint-disable-next-line no-unused-vars
   const [noteMetadata, setNoteMetadata] = useState([]);
+  const [generationWarnings, setGenerationWarnings] = useState([]);
   const noteMetadataRef = useRef([]); // Ref for synchronous access to current metadata
+  const measureMetersRef = useRef([]); // Time signature of each measure (the meter can change mid-exercise)
 
   // Second display ABC notation and note metadata
   const [abcNotation2, setAbcNotation2] = useState('');
   // eslint-disable-next-line no-unused-vars
   const [noteMetadata2, setNoteMetadata2] = useState([]);
   const noteMetadata2Ref = useRef([]); // Ref for synchronous access to current metadata
+  const measureMeters2Ref = useRef([]); // Time signature of each measure (the meter can change mid-exercise)
 
   // Loading state
   const [isGenerating, setIsGenerating] = useState(false);
@@ -316,7 +319,8 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
     // abcjs-m{measure} = measure index
     // abcjs-n{noteIndex} = sequential note position within measure/voice (matches musicGenerator noteIndex)
     if (noteMetadata.noteIndex !== undefined) {
-      const selector = `.abcjs-v${noteMetadata.voiceIndex}.abcjs-m${noteMetadata.measureIndex}.abcjs-n${noteMetadata.noteIndex}.abcjs-note`;
+      const elementClass = noteMetadata.isRest ? 'abcjs-rest' : 'abcjs-note';
+      const selector = `.abcjs-v${noteMetadata.voiceIndex}.abcjs-m${noteMetadata.measureIndex}.abcjs-n${noteMetadata.noteIndex}.${elementClass}`;
       const exactMatch = svgContainer.querySelector(selector);
 
       if (exactMatch) {
@@ -445,12 +449,15 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
       const result1 = generateRandomABC(settingsFor4Measures, 'ex1');
       setAbcNotation(result1.abcNotation);
       noteMetadataRef.current = result1.noteMetadata; // Update ref immediately for synchronous access
+      measureMetersRef.current = result1.measureMeters;
       setNoteMetadata(result1.noteMetadata);
+      setGenerationWarnings(result1.warnings);
 
       // Generate second 4-measure exercise with scoped ID 'ex2'
       const result2 = generateRandomABC(settingsFor4Measures, 'ex2');
       setAbcNotation2(result2.abcNotation);
       noteMetadata2Ref.current = result2.noteMetadata; // Update ref immediately for synchronous access
+      measureMeters2Ref.current = result2.measureMeters;
       setNoteMetadata2(result2.noteMetadata);
 
       // Initialize separate note tracking maps for each exercise
@@ -546,6 +553,7 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
       const settingsFor4Measures = { ...settings, measures: 4 };
       const exerciseId = displayNumber === 1 ? 'ex1' : 'ex2';
       const result = generateRandomABC(settingsFor4Measures, exerciseId);
+      setGenerationWarnings(result.warnings);
 
       // Update the appropriate display's notation and metadata
       if (displayNumber === 1) {
@@ -553,12 +561,14 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
         setIsVisualsReady(false); // Reset visual ready flag - will be set true when MusicDisplay renders
         setAbcNotation(result.abcNotation);
         noteMetadataRef.current = result.noteMetadata; // Update ref immediately for synchronous access
+        measureMetersRef.current = result.measureMeters;
         setNoteMetadata(result.noteMetadata);
       } else {
         isVisualsReady2Ref.current = false; // Reset ref immediately for synchronous access
         setIsVisualsReady2(false); // Reset visual ready flag - will be set true when MusicDisplay renders
         setAbcNotation2(result.abcNotation);
         noteMetadata2Ref.current = result.noteMetadata; // Update ref immediately for synchronous access
+        measureMeters2Ref.current = result.measureMeters;
         setNoteMetadata2(result.noteMetadata);
       }
 
@@ -700,7 +710,7 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
 
     // Define note processing function using ev.midiPitches with start time for perfect matching
     const processNotesAtEvent = (ev) => {
-      // Calculate eighth notes per measure for time-signature-aware matching
+      // Eighth notes per measure of the exercise's own meter, which playback times its measures by
       const [beatsPerMeasure, beatUnit] = settings.timeSignature.split('/').map(Number);
       const eighthNotesPerMeasure = (beatsPerMeasure * 8) / beatUnit;
 
@@ -708,26 +718,57 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
       const newNotes = new Set();          // Only notes that START at current position
       const newNoteIds = new Set();        // Only note IDs that START at current position
 
+      const eventMeasure = ev.measureNumber || 0;
+
+      // Process notes from the current display only (use refs for current values)
+      const currentNoteMetadata = displayNumber === 1 ? noteMetadataRef.current : noteMetadata2Ref.current;
+
+      // A pickup measure is timed from the end of a bar (its notes start after this offset),
+      // so playback times are shifted by the offset to line up with every following bar
+      const pickupNotes = currentNoteMetadata.filter(noteData => noteData.measureIndex === 0);
+      const pickupOffset = pickupNotes.length > 0 ? Math.min(...pickupNotes.map(noteData => noteData.startTime)) : 0;
+
+      // Whether a note starts at a playback time in eighth notes from the start of the music. Measures differ
+      // in length when the meter changes, so the note is placed by the start of its measure. Tuplet times are
+      // not exact in binary, so they are compared within a small tolerance
+      const isAtPlaybackTime = (noteData, playbackEighths, tolerance = 0.001) => {
+        return Math.abs(noteData.measureStartTime + noteData.startTime - (playbackEighths + pickupOffset)) < tolerance;
+      };
+
+      // Rests have no MIDI pitches, so find the ones starting here by the event's time, less the countdown
+      // bars that the first start plays before the music (shortened by a pickup)
+      const countdownEighths = isPracticeMode && isInitialStart
+        ? 2 * eighthNotesPerMeasure - (pickupOffset > 0 ? eighthNotesPerMeasure - pickupOffset : 0)
+        : 0;
+      const eventEighths = ev.millisecondsPerMeasure
+        ? (ev.milliseconds / ev.millisecondsPerMeasure) * eighthNotesPerMeasure - countdownEighths
+        : null;
+      const restsAtEvent = eventEighths === null ? [] : currentNoteMetadata.filter(noteData =>
+        noteData.isRest &&
+        noteData.id.startsWith(`ex${displayNumber}_`) &&
+        noteData.measureIndex === eventMeasure &&
+        isAtPlaybackTime(noteData, eventEighths, 0.01) &&
+        noteData.wasScored === false);
+
       // Extract MIDI pitches from the event
-      if (!ev.midiPitches || ev.midiPitches.length === 0) {
+      if ((!ev.midiPitches || ev.midiPitches.length === 0) && restsAtEvent.length === 0) {
         console.log(`⚠️ EVENT: No midiPitches at measure=${ev.measureNumber}`);
         return;
       }
 
-      console.log("MIDI",ev.midiPitches)
-
-      const eventMeasure = ev.measureNumber || 0;
-      const eventMidiPitches = ev.midiPitches.map(mp => mp.pitch);
+      const eventMidiPitches = (ev.midiPitches || []).map(mp => mp.pitch);
 
-      console.log(`🎵EVENT: measure=${eventMeasure} pitches=[${eventMidiPitches.join(',')}]`);
+      console.log(`🎵EVENT: measure=${eventMeasure} pitches=[${eventMidiPitches.join(',')}] rests=${restsAtEvent.length}`);
 
-      // Process notes from the current display only (use refs for current values)
-      const currentNoteMetadata = displayNumber === 1 ? noteMetadataRef.current : noteMetadata2Ref.current;
-      const currentTrackingMap = displayNumber === 1 ? noteTrackingMap1 : noteTrackingMap2;
-      const setCurrentTrackingMap = displayNumber === 1 ? setNoteTrackingMap1 : setNoteTrackingMap2;
+      // Rests are "play nothing here": they become active so that a key struck during them can be penalized
+      restsAtEvent.forEach(noteData => {
+        noteData.wasScored = true;
+        allActiveNoteIds.add(noteData.id);
+        newNoteIds.add(noteData.id);
+      });
 
       // Process each pitch object to match by MIDI pitch and measure
-      ev.midiPitches.forEach(pitchObj => {
+      (ev.midiPitches || []).forEach(pitchObj => {
         const targetPitch = pitchObj.pitch;
 
         // console.log("Metadata:",currentNoteMetadata)
@@ -744,33 +785,16 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
               // pitchObj.start considers whole notes as 1, and smaller notes are a division of that (e.g., 1/4 notes are 0.25)
               // noteData.startTime considers whole notes as 8 and smaller notes are a division of that (e.g., 1/4 notes are 2)
               // pitchObj.start increments to the length of the music
-              // noteData.startTime increments to the length of a measure (which depends on the time signature) and loops back to 0 after reaching the end of the measure
-              noteData.startTime === (pitchObj.start * 8 % eighthNotesPerMeasure) &&
+              // noteData.startTime increments to the length of a measure (which depends on the time signature) and loops back to 0 after reaching the end of the measure, so isAtPlaybackTime adds the start of the measure
+              isAtPlaybackTime(noteData, pitchObj.start * 8) &&
               noteData.wasScored === false) {
             // console.log("Found", noteData);
             noteData.wasScored = true;
 
-            // Handle rests differently
-            if (noteData.isRest) {
-              newNoteIds.add(noteData.id);
-              // Automatically mark rest as correct (no MIDI input required)
-              const trackedNote = currentTrackingMap.get(noteData.id);
-              if (trackedNote && trackedNote.status === 'unplayed') {
-                setCurrentTrackingMap(prevMap => {
-                  const newMap = new Map(prevMap);
-                  newMap.set(noteData.id, { ...trackedNote, status: 'correct' });
-                  return newMap;
-                });
-                // Highlight the rest as correct
-                highlightNoteById(noteData.id, 'correct', trackedNote);
-                console.log(`✅REST: ${noteData.id} auto-marked correct`);
-              }
-            } else {
-              // Regular note - add to expected notes for scoring
-              allActiveNoteIds.add(noteData.id);
-              newNotes.add(noteData.expectedNote);
-              newNoteIds.add(noteData.id);
-            }
+            // Add to expected notes for scoring
+            allActiveNoteIds.add(noteData.id);
+            newNotes.add(noteData.expectedNote);
+            newNoteIds.add(noteData.id);
 
             break;
           }
@@ -852,12 +876,14 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
     await initSilentSynth();
 
     // Create TimingCallbacks for precise synchronization
+    // Beats are counted as abcjs counts them, subdivided further where the meter's beat grouping needs it
+    const playbackBeats = getPlaybackBeats(settings.timeSignature, settings.beatGrouping);
 
     let timingCallbacks;
     try {
       timingCallbacks = new ABCJS.TimingCallbacks(targetVisualObj, {
         qpm: settings.tempo, // Quarter notes per minute - matches settings
-        beatSubdivisions: 8, // Get callbacks on 32th note boundaries for smoothness and to capture user MIDI input on time
+        beatSubdivisions: 8 * playbackBeats.beatSubdivisions, // Get callbacks on 32th note boundaries for smoothness and to capture user MIDI input on time
         extraMeasuresAtBeginning: (isPracticeMode && isInitialStart) ? 2 : 0,
 
         // Event callback - called for each musical event (note, rest, etc.)
@@ -877,7 +903,15 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
 
               const voice = note.voiceIndex === 0 ? 'T' : 'B';
 
-              if (note.status === 'unplayed') {
+              if (note.status === 'unplayed' && note.isRest) {
+                // A rest nothing was played during is correct
+                setCurrentTrackingMap(prevMap => {
+                  const newMap = new Map(prevMap);
+                  newMap.set(noteId, { ...note, status: 'correct' });
+                  return newMap;
+                });
+                highlightNoteById(noteId, 'correct', note);
+              } else if (note.status === 'unplayed') {
                 // Mark as incorrect/missed
                 setCurrentTrackingMap(prevMap => {
                   const newMap = new Map(prevMap);
@@ -954,6 +988,10 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
             // Use the tracking map for the display that just finished
             const currentTrackingMap = displayNumber === 1 ? noteTrackingMap1 : noteTrackingMap2;
             currentTrackingMap.forEach((note) => {
+              // Rests only count when a key was struck during them
+              if (note.isRest && note.status !== 'incorrect') {
+                return;
+              }
               if (note.status === 'correct') {
                 correctCount++;
                 correctNotesList.push(note.expectedNote || note.abcNotation);
@@ -969,7 +1007,7 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
               correctCount,
               wrongCount,
               unplayedCount,
-              totalNotes: currentTrackingMap.size,
+              totalNotes: correctCount + wrongCount + unplayedCount,
               correctNotes: correctNotesList,
               wrongNotes: wrongNotesList
             });
@@ -1086,8 +1124,7 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
 
           // Handle countdown phase for practice mode (only on initial start)
           if (isPracticeMode && isInitialStart) {
-            const [beatsPerMeasure] = settings.timeSignature.split('/').map(Number);
-            const countdownTotalBeats = beatsPerMeasure * 2; // 2 measures countdown
+            const countdownTotalBeats = playbackBeats.beatsPerMeasure * 2; // 2 measures countdown
 
             // Since extraMeasuresAtBeginning doesn't seem to work in this version of ABCJS,
             // we'll create our own countdown by treating the first 8 beats as countdown
@@ -1110,22 +1147,28 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
           // Beat info for debugging display
           setBeatInfo(`Beat ${beatNumber}/${totalBeats}`);
 
-          // Trigger metronome on whole beat counts (including countdown beats)
-          const roundedBeat = Math.round(beatNumber);
-          const isWholeBeat = Math.abs(beatNumber - roundedBeat) < 0.1;
+          // Trigger metronome on each beat of the beat grouping (including countdown beats); the countdown
+          // is whole bars, so only the music after it is shifted by a pickup
+          const countdownTotalBeats = playbackBeats.beatsPerMeasure * 2; // 2 measures countdown
+          const hasCountdown = isPracticeMode && isInitialStart;
+          const pickupNotes = (displayNumber === 1 ? noteMetadataRef.current : noteMetadata2Ref.current)
+            .filter(noteData => noteData.measureIndex === 0);
+          const pickupOffset = pickupNotes.length > 0 ? Math.min(...pickupNotes.map(noteData => noteData.startTime)) : 0;
+          const click = hasCountdown && beatNumber < countdownTotalBeats
+            ? getMetronomeClick(settings.timeSignature, beatNumber, settings.beatGrouping)
+            : getMetronomeClick(settings.timeSignature, beatNumber - (hasCountdown ? countdownTotalBeats : 0), settings.beatGrouping, pickupOffset,
+              displayNumber === 1 ? measureMetersRef.current : measureMeters2Ref.current);
 
 
           // For practice mode, trigger metronome during countdown OR if metronome is active
           // Use ref instead of state to avoid async timing issues
-          const [beatsPerMeasure] = settings.timeSignature.split('/').map(Number);
-          const countdownTotalBeats = beatsPerMeasure * 2; // 2 measures countdown
           const shouldTriggerMetronome = isPracticeMode ?
             ((isInitialStart && beatNumber < countdownTotalBeats) || isMetronomeActiveRef.current) : // Countdown only on initial start, then only if metronome active
             isMetronomeActiveRef.current; // Non-practice mode only if metronome active
 
 
-          if (shouldTriggerMetronome && metronomeTriggerRef.current && isWholeBeat && beatNumber < totalBeats) {
-            metronomeTriggerRef.current();
+          if (shouldTriggerMetronome && metronomeTriggerRef.current && click && beatNumber < totalBeats) {
+            metronomeTriggerRef.current(click);
           }
         },
 
@@ -1563,7 +1606,15 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
         const voice = note.voiceIndex === 0 ? 'T' : 'B';
         console.log(`  ${noteId} (${voice}): ${note.status}`);
 
-        if (note.status === 'unplayed') {
+        if (note.status === 'unplayed' && note.isRest) {
+          // A rest nothing was played during is correct
+          setCurrentTrackingMap(prevMap => {
+            const newMap = new Map(prevMap);
+            newMap.set(noteId, { ...note, status: 'correct' });
+            return newMap;
+          });
+          highlightNoteById(noteId, 'correct', note);
+        } else if (note.status === 'unplayed') {
           missedCount++;
           // Mark as incorrect/missed
           setCurrentTrackingMap(prevMap => {
@@ -1715,6 +1766,23 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
         }
       }
 
+      // A key struck during a rest, with no note at this position left to play, is penalized right away
+      const activeNotes = Array.from(currentActiveNoteIds).map(noteId => currentTrackingMap.get(noteId)).filter(Boolean);
+      const struckRest = activeNotes.find(note => note.isRest && note.status === 'unplayed');
+      const notesLeftToPlay = activeNotes.some(note => !note.isRest && note.status === 'unplayed');
+      if (!noteProcessed && !expectedNotes.has(pressedNote) && struckRest && !notesLeftToPlay) {
+        console.log(`❌REST: ${pressedNote} struck during ${struckRest.id}`);
+        setCurrentTrackingMap(prevMap => {
+          const newMap = new Map(prevMap);
+          newMap.set(struckRest.id, { ...struckRest, status: 'incorrect' });
+          return newMap;
+        });
+        highlightNoteById(struckRest.id, 'incorrect', struckRest);
+        onWrongNote(pressedNote);
+        processedNotesInThisCycle.add(pressedNote); // Mark as processed
+        return;
+      }
+
       // If note wasn't processed as correct, defer wrong note detection
       // Note: Held notes were already filtered out at lines 1145-1150
       if (!noteProcessed && !expectedNotes.has(pressedNote)) {
@@ -1868,6 +1936,15 @@ const FlowView = ({ pressedMidiNotes = new Set(), midiNoteStates = new Map(), on
           </div>
 
 
+          {/* Settings the generator had to work around (e.g. a pattern that cannot fit the meter) */}
+          {generationWarnings.length > 0 && (
+            <div className="mb-4 px-4 py-2 rounded-lg bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-300 dark:border-yellow-700 text-center">
+              {generationWarnings.map(warning => (
+                <p key={warning} className="text-sm text-yellow-800 dark:text-yellow-200">{warning}</p>
+              ))}
+            </div>
+          )}
+
           {/* Music Displays */}
           <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
             {/* First Exercise */}
@@ -5,7 +5,11 @@ import {
   AVAILABLE_INTERVALS, 
   CHORD_PROGRESSIONS, 
   AVAILABLE_LEFT_HAND_PATTERNS, 
-  AVAILABLE_RIGHT_HAND_PATTERNS 
+  AVAILABLE_RIGHT_HAND_PATTERNS,
+  AVAILABLE_STAFF_MODES,
+  AVAILABLE_PHRASE_STRUCTURES,
+  AVAILABLE_LEAP_LIMITS,
+  parseChordProgression
 } from '../utils/musicGenerator';
 import Settings from './Settings';
 
@@ -32,6 +36,21 @@ const FreePractice = ({ settings, onSettingsChange }) => {
     }
   };
 
+  // Weights are relative: an interval at 4 comes up four times as often as one at 1
+  const handleIntervalWeightChange = (intervalValue, weight) => {
+    onSettingsChange({
+      ...settings,
+      intervalWeights: { ...(settings.intervalWeights || {}), [intervalValue]: weight }
+    });
+  };
+
+  const handleDirectionWeightChange = (direction, weight) => {
+    onSettingsChange({
+      ...settings,
+      directionWeights: { up: 1, down: 1, ...(settings.directionWeights || {}), [direction]: weight }
+    });
+  };
+
   const handleChordProgressionToggle = (progressionId) => {
     const currentProgressions = settings.chordProgressions || ['pop', '50s', 'pop-variation', 'basic-cadence', 'jazz', 'alternating', 'minor-start', 'variation'];
     const newProgressions = currentProgressions.includes(progressionId)
@@ -48,6 +67,13 @@ const FreePractice = ({ settings, onSettingsChange }) => {
     }
   };
 
+  const handleCustomProgressionChange = (progressionText) => {
+    onSettingsChange({ ...settings, customProgression: progressionText });
+  };
+
+  // Typed progressions replace the presets above once they parse without errors
+  const customProgressionErrors = parseChordProgression(settings.customProgression || '', settings.key || 'C').errors;
+
   const handleLeftHandPatternToggle = (patternId) => {
     // Always set as the single selected pattern (radio button behavior)
     const newSettings = { 
@@ -66,6 +92,12 @@ const FreePractice = ({ settings, onSettingsChange }) => {
     onSettingsChange(newSettings);
   };
 
+  const handleStartPractice = () => {
+    // Leave chord practice mode if it was selected on the Chords page
+    onSettingsChange({ ...settings, practiceMode: 'standard' });
+    navigate('/practice');
+  };
+
   const renderToggleButton = (item, isSelected, onToggle, itemKey = 'id') => {
     const key = item[itemKey] || item.value;
     const label = item.label;
@@ -90,6 +122,25 @@ const FreePractice = ({ settings, onSettingsChange }) => {
 
   // Filter intervals to show only 2nd through 8th (excluding Unison)
   const displayIntervals = AVAILABLE_INTERVALS.filter(interval => interval.value >= 2 && interval.value <= 8);
+  const selectedDisplayIntervals = displayIntervals.filter(interval => (settings.intervals || [1, 2, 3, 4, 5]).includes(interval.value));
+
+  const renderWeightSlider = (id, label, weight, onChange) => (
+    <div key={id} className="flex items-center gap-4">
+      <label htmlFor={id} className="w-16 text-sm font-medium text-gray-700 dark:text-gray-300">
+        {label}
+      </label>
+      <input
+        id={id}
+        type="range"
+        min="1"
+        max="5"
+        value={weight}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="flex-1 h-3 bg-gray-200 dark:bg-gray-600 rounded-lg appearance-none cursor-pointer slider"
+      />
+      <span className="w-8 text-right text-sm text-gray-600 dark:text-gray-300">×{weight}</span>
+    </div>
+  );
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900 flex flex-col">
@@ -141,6 +192,101 @@ const FreePractice = ({ settings, onSettingsChange }) => {
             </div>
           </div>
 
+          {/* Melodic Contour Section */}
+          <div className="card bg-white dark:bg-gray-800 shadow-lg dark:shadow-gray-900/25 animate-fade-in">
+            <div className="card-body p-8">
+              <div className="text-center mb-6">
+                <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
+                  Melodic Contour
+                </h3>
+                <p className="text-gray-600 dark:text-gray-300">
+                  Choose how often each interval and direction comes up, and how melodies handle leaps of a 4th or wider.
+                  These shape single-note, interval and octave lines; 3- and 4-note chords keep their voicings.
+                </p>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                <div className="space-y-3">
+                  <h4 className="font-semibold text-gray-900 dark:text-white">Interval Weights</h4>
+                  {selectedDisplayIntervals.map(interval => renderWeightSlider(
+                    `interval-weight-${interval.value}`,
+                    interval.label,
+                    settings.intervalWeights?.[interval.value] ?? 1,
+                    weight => handleIntervalWeightChange(interval.value, weight)
+                  ))}
+                </div>
+
+                <div className="space-y-3">
+                  <h4 className="font-semibold text-gray-900 dark:text-white">Direction Weights</h4>
+                  {[{ id: 'up', label: 'Up' }, { id: 'down', label: 'Down' }].map(direction => renderWeightSlider(
+                    `direction-weight-${direction.id}`,
+                    direction.label,
+                    settings.directionWeights?.[direction.id] ?? 1,
+                    weight => handleDirectionWeightChange(direction.id, weight)
+                  ))}
+                </div>
+              </div>
+
+              <div className="mt-8">
+                <h4 className="font-semibold text-gray-900 dark:text-white text-center mb-4">Leaps in a Row</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  {AVAILABLE_LEAP_LIMITS.map(({ value, label }) => {
+                    const isSelected = (settings.maxConsecutiveLeaps ?? null) === value;
+                    return (
+                      <button
+                        key={label}
+                        className={`btn btn-lg h-16 px-6 transition-all duration-300 transform hover:scale-105 ${
+                          isSelected 
+                            ? 'btn-primary shadow-lg' 
+                            : 'btn-outline btn-primary hover:btn-primary'
+                        }`}
+                        onClick={() => onSettingsChange({ ...settings, maxConsecutiveLeaps: value })}
+                        aria-pressed={isSelected}
+                      >
+                        <span className="font-bold text-lg">{label}</span>
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <div className="mt-8">
+                <h4 className="font-semibold text-gray-900 dark:text-white text-center mb-4">Leap Recovery</h4>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-2xl mx-auto">
+                  <button
+                    className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                      !settings.leapRecovery 
+                        ? 'btn-primary shadow-lg' 
+                        : 'btn-outline btn-primary hover:btn-primary'
+                    }`}
+                    onClick={() => onSettingsChange({ ...settings, leapRecovery: false })}
+                    aria-pressed={!settings.leapRecovery}
+                  >
+                    <div className="flex flex-col items-center space-y-2">
+                      <span className="font-bold text-lg">Free</span>
+                      <span className="text-sm opacity-75">Any interval may follow a leap</span>
+                    </div>
+                  </button>
+                  
+                  <button
+                    className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                      settings.leapRecovery 
+                        ? 'btn-primary shadow-lg' 
+                        : 'btn-outline btn-primary hover:btn-primary'
+                    }`}
+                    onClick={() => onSettingsChange({ ...settings, leapRecovery: true })}
+                    aria-pressed={!!settings.leapRecovery}
+                  >
+                    <div className="flex flex-col items-center space-y-2">
+                      <span className="font-bold text-lg">Step Back</span>
+                      <span className="text-sm opacity-75">A leap is followed by a step the other way</span>
+                    </div>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+
           {/* Chord Progressions Section */}
           <div className="card bg-white dark:bg-gray-800 shadow-lg dark:shadow-gray-900/25 animate-slide-up">
             <div className="card-body p-8">
@@ -162,6 +308,25 @@ const FreePractice = ({ settings, onSettingsChange }) => {
                   )
                 )}
               </div>
+
+              <div className="mt-6 max-w-2xl mx-auto w-full">
+                <label htmlFor="custom-progression" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Custom Progression (Roman numerals, replaces the selections above)
+                </label>
+                <input
+                  id="custom-progression"
+                  type="text"
+                  placeholder="e.g. ii7 V7 Imaj7 vi7 or I IV/IV V/V V"
+                  value={settings.customProgression || ''}
+                  onChange={(e) => handleCustomProgressionChange(e.target.value)}
+                  className={`w-full px-3 py-2 border rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    customProgressionErrors.length > 0 ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'
+                  }`}
+                />
+                {customProgressionErrors.map((error, index) => (
+                  <p key={index} className="mt-2 text-sm text-red-600">{error}</p>
+                ))}
+              </div>
             </div>
           </div>
 
@@ -258,6 +423,293 @@ const FreePractice = ({ settings, onSettingsChange }) => {
               </div>
             </div>
           </div>
+
+          {/* Chromatic Notes Section */}
+          <div className="card bg-white dark:bg-gray-800 shadow-lg dark:shadow-gray-900/25 animate-scale-in">
+            <div className="card-body p-8">
+              <div className="text-center mb-6">
+                <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
+                  Chromatic Notes
+                </h3>
+                <p className="text-gray-600 dark:text-gray-300">
+                  Add chromatic passing and neighbor tones to single-note melodies
+                </p>
+              </div>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-2xl mx-auto">
+                <button
+                  className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                    !settings.chromaticNotes 
+                      ? 'btn-primary shadow-lg' 
+                      : 'btn-outline btn-primary hover:btn-primary'
+                  }`}
+                  onClick={() => onSettingsChange({ ...settings, chromaticNotes: false })}
+                  aria-pressed={!settings.chromaticNotes}
+                >
+                  <div className="flex flex-col items-center space-y-2">
+                    <span className="font-bold text-lg">Diatonic Only</span>
+                    <span className="text-sm opacity-75">Notes from the key signature</span>
+                  </div>
+                </button>
+                
+                <button
+                  className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                    settings.chromaticNotes 
+                      ? 'btn-primary shadow-lg' 
+                      : 'btn-outline btn-primary hover:btn-primary'
+                  }`}
+                  onClick={() => onSettingsChange({ ...settings, chromaticNotes: true })}
+                  aria-pressed={!!settings.chromaticNotes}
+                >
+                  <div className="flex flex-col items-center space-y-2">
+                    <span className="font-bold text-lg">Chromatic Notes</span>
+                    <span className="text-sm opacity-75">Sharps, flats and naturals in the melody</span>
+                  </div>
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Beginning and Ending Section */}
+          <div className="card bg-white dark:bg-gray-800 shadow-lg dark:shadow-gray-900/25 animate-scale-in">
+            <div className="card-body p-8">
+              <div className="text-center mb-6">
+                <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
+                  Beginning and Ending
+                </h3>
+                <p className="text-gray-600 dark:text-gray-300">
+                  Start with a pickup beat and end on a cadence, like a real piece
+                </p>
+              </div>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-2xl mx-auto mb-4">
+                <button
+                  className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                    !settings.pickupMeasure 
+                      ? 'btn-primary shadow-lg' 
+                      : 'btn-outline btn-primary hover:btn-primary'
+                  }`}
+                  onClick={() => onSettingsChange({ ...settings, pickupMeasure: false })}
+                  aria-pressed={!settings.pickupMeasure}
+                >
+                  <div className="flex flex-col items-center space-y-2">
+                    <span className="font-bold text-lg">Start on Beat One</span>
+                    <span className="text-sm opacity-75">First bar is a full bar</span>
+                  </div>
+                </button>
+                
+                <button
+                  className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                    settings.pickupMeasure 
+                      ? 'btn-primary shadow-lg' 
+                      : 'btn-outline btn-primary hover:btn-primary'
+                  }`}
+                  onClick={() => onSettingsChange({ ...settings, pickupMeasure: true })}
+                  aria-pressed={!!settings.pickupMeasure}
+                >
+                  <div className="flex flex-col items-center space-y-2">
+                    <span className="font-bold text-lg">Pickup Bar</span>
+                    <span className="text-sm opacity-75">One-beat lead-in, shorter final bar</span>
+                  </div>
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-2xl mx-auto">
+                <button
+                  className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                    !settings.finalCadence 
+                      ? 'btn-primary shadow-lg' 
+                      : 'btn-outline btn-primary hover:btn-primary'
+                  }`}
+                  onClick={() => onSettingsChange({ ...settings, finalCadence: false })}
+                  aria-pressed={!settings.finalCadence}
+                >
+                  <div className="flex flex-col items-center space-y-2">
+                    <span className="font-bold text-lg">Open Ending</span>
+                    <span className="text-sm opacity-75">Last bar follows the pattern</span>
+                  </div>
+                </button>
+                
+                <button
+                  className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                    settings.finalCadence 
+                      ? 'btn-primary shadow-lg' 
+                      : 'btn-outline btn-primary hover:btn-primary'
+                  }`}
+                  onClick={() => onSettingsChange({ ...settings, finalCadence: true })}
+                  aria-pressed={!!settings.finalCadence}
+                >
+                  <div className="flex flex-col items-center space-y-2">
+                    <span className="font-bold text-lg">Final Cadence</span>
+                    <span className="text-sm opacity-75">V-I ending on a held tonic</span>
+                  </div>
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Meter Section */}
+          <div className="card bg-white dark:bg-gray-800 shadow-lg dark:shadow-gray-900/25 animate-scale-in">
+            <div className="card-body p-8">
+              <div className="text-center mb-6">
+                <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
+                  Meter
+                </h3>
+                <p className="text-gray-600 dark:text-gray-300">
+                  Keep one time signature or read changes between related meters
+                </p>
+              </div>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-2xl mx-auto">
+                <button
+                  className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                    !settings.meterChanges 
+                      ? 'btn-primary shadow-lg' 
+                      : 'btn-outline btn-primary hover:btn-primary'
+                  }`}
+                  onClick={() => onSettingsChange({ ...settings, meterChanges: false })}
+                  aria-pressed={!settings.meterChanges}
+                >
+                  <div className="flex flex-col items-center space-y-2">
+                    <span className="font-bold text-lg">Steady Meter</span>
+                    <span className="text-sm opacity-75">One time signature throughout</span>
+                  </div>
+                </button>
+                
+                <button
+                  className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                    settings.meterChanges 
+                      ? 'btn-primary shadow-lg' 
+                      : 'btn-outline btn-primary hover:btn-primary'
+                  }`}
+                  onClick={() => onSettingsChange({ ...settings, meterChanges: true })}
+                  aria-pressed={!!settings.meterChanges}
+                >
+                  <div className="flex flex-col items-center space-y-2">
+                    <span className="font-bold text-lg">Meter Changes</span>
+                    <span className="text-sm opacity-75">Switches meter every few bars (e.g. 4/4, 3/4, 4/4)</span>
+                  </div>
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Clefs Section */}
+          <div className="card bg-white dark:bg-gray-800 shadow-lg dark:shadow-gray-900/25 animate-scale-in">
+            <div className="card-body p-8">
+              <div className="text-center mb-6">
+                <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
+                  Clefs
+                </h3>
+                <p className="text-gray-600 dark:text-gray-300">
+                  Keep each hand in its own clef or read passages where a hand changes clef
+                </p>
+              </div>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-2xl mx-auto">
+                <button
+                  className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                    !settings.clefChanges 
+                      ? 'btn-primary shadow-lg' 
+                      : 'btn-outline btn-primary hover:btn-primary'
+                  }`}
+                  onClick={() => onSettingsChange({ ...settings, clefChanges: false })}
+                  aria-pressed={!settings.clefChanges}
+                >
+                  <div className="flex flex-col items-center space-y-2">
+                    <span className="font-bold text-lg">Fixed Clefs</span>
+                    <span className="text-sm opacity-75">Treble for the right hand, bass for the left</span>
+                  </div>
+                </button>
+                
+                <button
+                  className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                    settings.clefChanges 
+                      ? 'btn-primary shadow-lg' 
+                      : 'btn-outline btn-primary hover:btn-primary'
+                  }`}
+                  onClick={() => onSettingsChange({ ...settings, clefChanges: true })}
+                  aria-pressed={!!settings.clefChanges}
+                >
+                  <div className="flex flex-col items-center space-y-2">
+                    <span className="font-bold text-lg">Clef Changes</span>
+                    <span className="text-sm opacity-75">Left hand climbs into treble, right hand dips into bass</span>
+                  </div>
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Staff Section */}
+          <div className="card bg-white dark:bg-gray-800 shadow-lg dark:shadow-gray-900/25 animate-scale-in">
+            <div className="card-body p-8">
+              <div className="text-center mb-6">
+                <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
+                  Staff
+                </h3>
+                <p className="text-gray-600 dark:text-gray-300">
+                  Read both hands on the grand staff, or one melodic line in a single clef
+                </p>
+              </div>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                {AVAILABLE_STAFF_MODES.map(({ id, label }) => {
+                  const isSelected = (settings.staffMode || 'grand') === id;
+                  return (
+                    <button
+                      key={id}
+                      className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                        isSelected 
+                          ? 'btn-primary shadow-lg' 
+                          : 'btn-outline btn-primary hover:btn-primary'
+                      }`}
+                      onClick={() => onSettingsChange({ ...settings, staffMode: id })}
+                      aria-pressed={isSelected}
+                    >
+                      <span className="font-bold text-lg">{label}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+
+          {/* Phrasing Section */}
+          <div className="card bg-white dark:bg-gray-800 shadow-lg dark:shadow-gray-900/25 animate-scale-in">
+            <div className="card-body p-8">
+              <div className="text-center mb-6">
+                <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
+                  Phrasing
+                </h3>
+                <p className="text-gray-600 dark:text-gray-300">
+                  Write each measure on its own, or build the melody from repeated motifs in question and answer phrases
+                </p>
+              </div>
+              
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {AVAILABLE_PHRASE_STRUCTURES.map(({ id, label, description }) => {
+                  const isSelected = (settings.phraseStructure || 'none') === id;
+                  return (
+                    <button
+                      key={id}
+                      className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+                        isSelected 
+                          ? 'btn-primary shadow-lg' 
+                          : 'btn-outline btn-primary hover:btn-primary'
+                      }`}
+                      onClick={() => onSettingsChange({ ...settings, phraseStructure: id })}
+                      aria-pressed={isSelected}
+                    >
+                      <div className="flex flex-col items-center space-y-2">
+                        <span className="font-bold text-lg">{label}</span>
+                        <span className="text-sm opacity-75">{description}</span>
+                      </div>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
         </div>
 
         {/* Settings Selection Card */}
@@ -267,7 +719,7 @@ const FreePractice = ({ settings, onSettingsChange }) => {
         <div className="text-center animate-scale-in">
           <button 
             className="btn btn-success btn-lg px-8 py-4"
-            onClick={() => navigate('/practice')}
+            onClick={handleStartPractice}
           >
             Start Practice
           </button>
@@ -1,6 +1,7 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import { FaArrowLeft, FaMusic } from 'react-icons/fa';
+import { AVAILABLE_MINOR_MODES, AVAILABLE_MODULATIONS } from '../utils/musicGenerator';
 
 const Keys = ({ settings, onSettingsChange }) => {
   const navigate = useNavigate();
@@ -9,27 +10,30 @@ const Keys = ({ settings, onSettingsChange }) => {
   const majorKeys = [
     { key: 'C', label: 'C' },
     { key: 'C#', label: 'C#' },
+    { key: 'Db', label: 'Db' },
     { key: 'D', label: 'D' },
-    { key: 'D#', label: 'D#' },
+    { key: 'Eb', label: 'Eb' },
     { key: 'E', label: 'E' },
     { key: 'F', label: 'F' },
     { key: 'F#', label: 'F#' },
+    { key: 'Gb', label: 'Gb' },
     { key: 'G', label: 'G' },
-    { key: 'G#', label: 'G#' },
+    { key: 'Ab', label: 'Ab' },
     { key: 'A', label: 'A' },
-    { key: 'A#', label: 'A#' },
+    { key: 'Bb', label: 'Bb' },
     { key: 'B', label: 'B' }
   ];
 
   // All minor keys from MINOR_SCALE_DEGREES
   const minorKeys = [
     { key: 'Am', label: 'Am' },
-    { key: 'A#m', label: 'A#m' },
+    { key: 'Bbm', label: 'Bbm' },
     { key: 'Bm', label: 'Bm' },
     { key: 'Cm', label: 'Cm' },
     { key: 'C#m', label: 'C#m' },
     { key: 'Dm', label: 'Dm' },
     { key: 'D#m', label: 'D#m' },
+    { key: 'Ebm', label: 'Ebm' },
     { key: 'Em', label: 'Em' },
     { key: 'Fm', label: 'Fm' },
     { key: 'F#m', label: 'F#m' },
@@ -57,6 +61,22 @@ const Keys = ({ settings, onSettingsChange }) => {
     navigate(-1);
   };
 
+  const handleMinorModeClick = (minorMode) => {
+    // Stay on the page so a minor key can still be picked afterwards
+    onSettingsChange({
+      ...settings,
+      minorMode
+    });
+  };
+
+  const handleModulationClick = (modulation) => {
+    // Stay on the page so a key can still be picked afterwards
+    onSettingsChange({
+      ...settings,
+      modulation
+    });
+  };
+
   const renderKeyButton = ({ key, label }) => {
     const isSelected = settings.key === key;
 
@@ -142,6 +162,54 @@ const Keys = ({ settings, onSettingsChange }) => {
               </div>
             </div>
 
+            {/* Minor Mode Section */}
+            <div>
+              <h3 className="text-xl font-semibold text-gray-800 mb-4">Minor Scale</h3>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {AVAILABLE_MINOR_MODES.map(({ id, label }) => {
+                  const isSelected = (settings.minorMode || 'natural') === id;
+                  return (
+                    <button
+                      key={id}
+                      className={`btn btn-lg h-24 py-6 px-4 transition-all duration-300 transform hover:scale-105 ${
+                        isSelected 
+                          ? 'btn-primary shadow-lg' 
+                          : 'btn-outline btn-primary hover:btn-primary'
+                      }`}
+                      onClick={() => handleMinorModeClick(id)}
+                      aria-pressed={isSelected}
+                    >
+                      <span className="text-lg font-semibold">{label}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Modulation Section */}
+            <div>
+              <h3 className="text-xl font-semibold text-gray-800 mb-4">Modulation</h3>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {AVAILABLE_MODULATIONS.map(({ id, label }) => {
+                  const isSelected = (settings.modulation || 'none') === id;
+                  return (
+                    <button
+                      key={id}
+                      className={`btn btn-lg h-24 py-6 px-4 transition-all duration-300 transform hover:scale-105 ${
+                        isSelected 
+                          ? 'btn-primary shadow-lg' 
+                          : 'btn-outline btn-primary hover:btn-primary'
+                      }`}
+                      onClick={() => handleModulationClick(id)}
+                      aria-pressed={isSelected}
+                    >
+                      <span className="text-lg font-semibold">{label}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+
             {/* Random Option Section */}
             <div>
               <h3 className="text-xl font-semibold text-gray-800 mb-4">Special</h3>
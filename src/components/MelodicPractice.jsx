@@ -32,6 +32,12 @@ const MelodicPractice = ({ settings, onSettingsChange }) => {
     onSettingsChange(newSettings);
   };
 
+  const handleStartPractice = () => {
+    // Melodic mode lets the generator use the selected melodic pattern
+    onSettingsChange({ ...settings, practiceMode: 'melodic' });
+    navigate('/practice');
+  };
+
   const renderToggleButton = (item, isSelected, onToggle) => {
     return (
       <button
@@ -157,7 +163,7 @@ const MelodicPractice = ({ settings, onSettingsChange }) => {
         <div className="text-center animate-scale-in">
           <button 
             className="btn btn-success btn-lg px-8 py-4"
-            onClick={() => navigate('/practice')}
+            onClick={handleStartPractice}
           >
             <FaPlay className="mr-3" />
             Start Melodic Practice
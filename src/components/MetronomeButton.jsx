@@ -37,19 +37,21 @@ const MetronomeButton = ({
   }, []);
 
   // Create metronome click sound using Web Audio API
-  const createClickSound = useCallback(() => {
+  // The downbeat and the other metric stresses ('accent') click higher and louder than plain beats
+  const createClickSound = useCallback((click = 'beat') => {
     if (!audioContextRef.current) return;
 
     const oscillator = audioContextRef.current.createOscillator();
     const gainNode = audioContextRef.current.createGain();
+    const { frequency, gain } = { downbeat: { frequency: 1200, gain: 0.45 }, accent: { frequency: 1000, gain: 0.38 } }[click] || { frequency: 800, gain: 0.3 };
     
     // Configure oscillator for a sharp click sound
-    oscillator.frequency.setValueAtTime(800, audioContextRef.current.currentTime); // High pitched click
+    oscillator.frequency.setValueAtTime(frequency, audioContextRef.current.currentTime); // High pitched click
     oscillator.type = 'sine';
     
     // Configure gain envelope for a sharp attack and quick decay
     gainNode.gain.setValueAtTime(0, audioContextRef.current.currentTime);
-    gainNode.gain.linearRampToValueAtTime(0.3, audioContextRef.current.currentTime + 0.01); // Quick attack
+    gainNode.gain.linearRampToValueAtTime(gain, audioContextRef.current.currentTime + 0.01); // Quick attack
     gainNode.gain.exponentialRampToValueAtTime(0.001, audioContextRef.current.currentTime + 0.1); // Quick decay
     
     // Connect audio nodes
@@ -65,15 +67,15 @@ const MetronomeButton = ({
     setTimeout(() => setIsBeating(false), 100);
   }, []);
 
-  // External beat trigger function - exposed to parent
-  const triggerBeat = useCallback(async () => {
+  // External beat trigger function - exposed to parent, which passes the kind of click for the beat
+  const triggerBeat = useCallback(async (click = 'beat') => {
     if (!isActive) return;
     
     if (!audioContextRef.current) {
       await initializeAudio();
     }
     
-    createClickSound();
+    createClickSound(click);
   }, [isActive, createClickSound, initializeAudio]);
 
   // Expose triggerBeat function to parent via callback
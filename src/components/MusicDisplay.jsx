@@ -1,6 +1,7 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 import * as ABCJS from 'abcjs';
 import './MusicDisplay.css';
+import { getMeasureKeys } from '../utils/musicGenerator';
 
 const MusicDisplay = ({ 
   abcNotation, 
@@ -18,16 +19,21 @@ const MusicDisplay = ({
   const [windowWidth, setWindowWidth] = useState(window.innerWidth);
 
   // Helper function to convert MIDI note to pitch position class using scale degrees
-  const midiNoteToPitchClass = useCallback((midiNote) => {
+  // The key defaults to the exercise key; a modulating exercise passes the key of each measure
+  const midiNoteToPitchClass = useCallback((midiNote, key = settings?.key || 'C') => {
     // Parse MIDI note (e.g., "C4", "D#5")
     const noteMatch = midiNote.match(/^([A-G])([#b]?)(\d+)$/);
     if (!noteMatch) return null;
     
-    const [, noteLetter, accidental, octaveStr] = noteMatch;
-    const octave = parseInt(octaveStr);
+    let [, noteLetter, accidental, octaveStr] = noteMatch;
+    let octave = parseInt(octaveStr);
     
-    // Get current key from settings (default to C if not provided)
-    const currentKey = settings?.key || 'C';
+    // Minor keys share the scale degrees and key signature of their relative major
+    const relativeMajorKeys = {
+      'Am': 'C', 'Bbm': 'Db', 'Bm': 'D', 'Cm': 'Eb', 'C#m': 'E', 'Dm': 'F', 'D#m': 'F#',
+      'Ebm': 'Gb', 'Em': 'G', 'Fm': 'Ab', 'F#m': 'A', 'Gm': 'Bb', 'G#m': 'B'
+    };
+    const currentKey = relativeMajorKeys[key] || key;
     
     // Major key scale degree mappings - maps note names to scale degrees (0-6)
     const keyScaleDegrees = {
@@ -37,7 +43,12 @@ const MusicDisplay = ({
       'A': { 'A': 0, 'B': 1, 'C': 2, 'D': 3, 'E': 4, 'F': 5, 'G': 6 },
       'E': { 'E': 0, 'F': 1, 'G': 2, 'A': 3, 'B': 4, 'C': 5, 'D': 6 },
       'B': { 'B': 0, 'C': 1, 'D': 2, 'E': 3, 'F': 4, 'G': 5, 'A': 6 },
-      'F': { 'F': 0, 'G': 1, 'A': 2, 'B': 3, 'C': 4, 'D': 5, 'E': 6 }
+      'F': { 'F': 0, 'G': 1, 'A': 2, 'B': 3, 'C': 4, 'D': 5, 'E': 6 },
+      'Bb': { 'B': 0, 'C': 1, 'D': 2, 'E': 3, 'F': 4, 'G': 5, 'A': 6 },
+      'Eb': { 'E': 0, 'F': 1, 'G': 2, 'A': 3, 'B': 4, 'C': 5, 'D': 6 },
+      'Ab': { 'A': 0, 'B': 1, 'C': 2, 'D': 3, 'E': 4, 'F': 5, 'G': 6 },
+      'Db': { 'D': 0, 'E': 1, 'F': 2, 'G': 3, 'A': 4, 'B': 5, 'C': 6 },
+      'Gb': { 'G': 0, 'A': 1, 'B': 2, 'C': 3, 'D': 4, 'E': 5, 'F': 6 }
     };
     
     // Key signature accidentals - which notes are sharp/flat in each key
@@ -48,9 +59,27 @@ const MusicDisplay = ({
       'A': { 'F': '#', 'C': '#', 'G': '#' },
       'E': { 'F': '#', 'C': '#', 'G': '#', 'D': '#' },
       'B': { 'F': '#', 'C': '#', 'G': '#', 'D': '#', 'A': '#' },
-      'F': { 'B': 'b' }
+      'F': { 'B': 'b' },
+      'Bb': { 'B': 'b', 'E': 'b' },
+      'Eb': { 'B': 'b', 'E': 'b', 'A': 'b' },
+      'Ab': { 'B': 'b', 'E': 'b', 'A': 'b', 'D': 'b' },
+      'Db': { 'B': 'b', 'E': 'b', 'A': 'b', 'D': 'b', 'G': 'b' },
+      'Gb': { 'B': 'b', 'E': 'b', 'A': 'b', 'D': 'b', 'G': 'b', 'C': 'b' }
     };
     
+    // MIDI note names are sharps, so spell black keys as flats in flat keys (A#4 -> Bb4)
+    const flatKeyLetters = { 'C': 'D', 'D': 'E', 'F': 'G', 'G': 'A', 'A': 'B' };
+    if (accidental === '#' && Object.values(keyAccidentals[currentKey] || {}).includes('b')) {
+      noteLetter = flatKeyLetters[noteLetter];
+      accidental = 'b';
+    }
+    // Cb sits a step above B in the octave below
+    if (currentKey === 'Gb' && noteLetter === 'B' && !accidental) {
+      noteLetter = 'C';
+      accidental = 'b';
+      octave += 1;
+    }
+    
     // Get scale degree for the note letter in the current key
     const scaleMapping = keyScaleDegrees[currentKey];
     if (!scaleMapping) {
@@ -101,15 +130,24 @@ const MusicDisplay = ({
     
     console.log('Highlighting MIDI notes:', Array.from(pressedMidiNotes));
     
+    // After a key change each measure is matched in its own key (abcjs-mm is the measure number)
+    const measureKeys = getMeasureKeys(abcNotation);
+    const hasKeyChanges = new Set(measureKeys).size > 1;
+    
     // Find and highlight matching notes using CSS classes
     Array.from(pressedMidiNotes).forEach(midiNote => {
-      const pitchClass = midiNoteToPitchClass(midiNote);
-      if (!pitchClass) return;
+      const selectors = hasKeyChanges
+        ? measureKeys.map((key, measureIndex) => {
+          const pitchClass = midiNoteToPitchClass(midiNote, key);
+          return pitchClass && `.abcjs-note.abcjs-mm${measureIndex}.${pitchClass}`;
+        }).filter(Boolean)
+        : [midiNoteToPitchClass(midiNote)].filter(Boolean).map(pitchClass => `.abcjs-note.${pitchClass}`);
+      if (selectors.length === 0) return;
       
-      console.log(`Looking for notes with class: ${pitchClass}`);
+      console.log(`Looking for notes matching: ${selectors.join(', ')}`);
       
       // Find all note elements with matching pitch class
-      const matchingNotes = svgContainer.querySelectorAll(`.abcjs-note.${pitchClass}`);
+      const matchingNotes = svgContainer.querySelectorAll(selectors.join(', '));
       console.log(`Found ${matchingNotes.length} matching notes for ${midiNote}`);
       
       matchingNotes.forEach(noteElement => {
@@ -119,7 +157,7 @@ const MusicDisplay = ({
         noteElement.style.strokeWidth = '2';
       });
     });
-  }, [pressedMidiNotes, midiNoteToPitchClass]);
+  }, [pressedMidiNotes, midiNoteToPitchClass, abcNotation]);
 
   // Function to highlight notes based on practice results (correct=green, incorrect=red)
   const highlightNoteResults = useCallback(() => {
@@ -185,7 +223,7 @@ const MusicDisplay = ({
 
       // Adjust for time signature - longer signatures need fewer measures per line
       const timeSignature = settings?.timeSignature || '4/4';
-      if (timeSignature === '6/8' || timeSignature === '12/8') {
+      if (['6/8', '12/8', '9/8', '11/8'].includes(timeSignature)) {
         preferredMeasuresPerLine = Math.max(preferredMeasuresPerLine - 1, 2);
       }
 
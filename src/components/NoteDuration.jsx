@@ -1,7 +1,7 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import { FaArrowLeft, FaMusic, FaPlay } from 'react-icons/fa';
-import { AVAILABLE_NOTE_DURATIONS } from '../utils/musicGenerator';
+import { AVAILABLE_NOTE_DURATIONS, AVAILABLE_SYNCOPATION_LEVELS, AVAILABLE_REST_DENSITIES } from '../utils/musicGenerator';
 import Settings from './Settings';
 
 const NoteDuration = ({ settings, onSettingsChange }) => {
@@ -27,6 +27,24 @@ const NoteDuration = ({ settings, onSettingsChange }) => {
     }
   };
 
+  const renderOptionButton = (label, description, isSelected, onClick) => (
+    <button
+      key={label}
+      className={`btn btn-lg h-24 py-12 px-6 transition-all duration-300 transform hover:scale-105 ${
+        isSelected 
+          ? 'btn-primary shadow-lg' 
+          : 'btn-outline btn-primary hover:btn-primary'
+      }`}
+      onClick={onClick}
+      aria-pressed={isSelected}
+    >
+      <div className="flex flex-col items-center space-y-2">
+        <span className="font-bold text-lg">{label}</span>
+        <span className="text-sm opacity-75">{description}</span>
+      </div>
+    </button>
+  );
+
   const renderToggleButton = (duration) => {
     const isSelected = (settings.noteDurations || ['1/8', '1/4']).includes(duration.value);
     return (
@@ -99,11 +117,56 @@ const NoteDuration = ({ settings, onSettingsChange }) => {
         {/* Note Durations Grid */}
         <div className="card bg-white shadow-lg mb-8 animate-slide-up">
           <div className="card-body p-8">
-            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
               {AVAILABLE_NOTE_DURATIONS.map((duration) => renderToggleButton(duration))}
             </div>
           </div>
         </div>
+
+        {/* Ties and Syncopation */}
+        <div className="card bg-white shadow-lg mb-8 animate-slide-up">
+          <div className="card-body p-8">
+            <div className="text-center mb-6">
+              <h3 className="text-xl font-bold text-gray-900 mb-2">Ties and Syncopation</h3>
+              <p className="text-gray-600">
+                Tied notes split melody notes that cross a beat; syncopation starts notes off the beat
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              {renderOptionButton('No Ties', 'Each note written as one value', !settings.tiedNotes,
+                () => onSettingsChange({ ...settings, tiedNotes: false }))}
+              {renderOptionButton('Tied Notes', 'Notes tied across beats', !!settings.tiedNotes,
+                () => onSettingsChange({ ...settings, tiedNotes: true }))}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {AVAILABLE_SYNCOPATION_LEVELS.map((level) =>
+                renderOptionButton(level.label, level.value, (settings.syncopation || 'none') === level.value,
+                  () => onSettingsChange({ ...settings, syncopation: level.value }))
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Rests */}
+        <div className="card bg-white shadow-lg mb-8 animate-slide-up">
+          <div className="card-body p-8">
+            <div className="text-center mb-6">
+              <h3 className="text-xl font-bold text-gray-900 mb-2">Rests</h3>
+              <p className="text-gray-600">
+                Eighth, quarter and half rests inside both hands' patterns; playing during a rest counts as a wrong note
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {AVAILABLE_REST_DENSITIES.map((density) =>
+                renderOptionButton(density.label, density.value, (settings.restDensity || 'none') === density.value,
+                  () => onSettingsChange({ ...settings, restDensity: density.value }))
+              )}
+            </div>
+          </div>
+        </div>
       </main>
     </div>
   );
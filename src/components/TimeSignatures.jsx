@@ -1,7 +1,7 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import { FaArrowLeft, FaClock } from 'react-icons/fa';
-import { AVAILABLE_TIME_SIGNATURES } from '../utils/musicGenerator';
+import { AVAILABLE_TIME_SIGNATURES, AVAILABLE_BEAT_GROUPINGS } from '../utils/musicGenerator';
 
 const TimeSignatures = ({ settings, onSettingsChange }) => {
   const navigate = useNavigate();
@@ -13,14 +13,33 @@ const TimeSignatures = ({ settings, onSettingsChange }) => {
     navigate(-1); // Go back to previous page in history
   };
 
+  // Beat groupings offered for the selected time signature (asymmetric meters only)
+  const beatGroupings = AVAILABLE_BEAT_GROUPINGS[settings.timeSignature] || [];
+  const selectedBeatGrouping = beatGroupings.some(grouping => grouping.value === settings.beatGrouping)
+    ? settings.beatGrouping
+    : beatGroupings[0]?.value;
+
   const handleTimeSignatureClick = (timeSignature) => {
-    // Update the time signature setting in the shared settings
+    // Update the time signature setting in the shared settings, starting asymmetric meters on their default grouping
+    const groupings = AVAILABLE_BEAT_GROUPINGS[timeSignature];
     onSettingsChange({
       ...settings,
-      timeSignature: timeSignature
+      timeSignature: timeSignature,
+      beatGrouping: groupings ? groupings[0].value : null
     });
     
-    // Automatically navigate back to the previous page
+    // Automatically navigate back to the previous page, unless a beat grouping can still be chosen
+    if (!groupings) {
+      navigate(-1);
+    }
+  };
+
+  const handleBeatGroupingClick = (beatGrouping) => {
+    onSettingsChange({
+      ...settings,
+      beatGrouping: beatGrouping
+    });
+
     navigate(-1);
   };
 
@@ -96,6 +115,33 @@ const TimeSignatures = ({ settings, onSettingsChange }) => {
               {timeSignatures.map(renderTimeSignatureButton)}
             </div>
           </div>
+
+          {/* Beat Grouping - asymmetric meters only */}
+          {beatGroupings.length > 0 && (
+            <div className="card-body p-8 pt-0">
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                Beat Grouping
+              </h3>
+              <p className="text-gray-600 mb-4">
+                How the eighth notes of {settings.timeSignature} are grouped into beats
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                {beatGroupings.map(grouping => (
+                  <button
+                    key={grouping.value}
+                    className={`btn btn-lg h-16 transition-all duration-300 transform hover:scale-105 ${
+                      selectedBeatGrouping === grouping.value
+                        ? 'btn-primary shadow-lg'
+                        : 'btn-outline btn-primary hover:btn-primary'
+                    }`}
+                    onClick={() => handleBeatGroupingClick(grouping.value)}
+                  >
+                    <span className="text-lg font-semibold">{grouping.label}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </main>
     </div>
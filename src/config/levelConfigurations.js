@@ -23,6 +23,7 @@ export const LEVEL_CONFIGURATIONS = {
     timeSignature: '4/4',
     measures: 4,
     tempo: 80,
+    difficultyBand: { min: 0, max: 15 },  // Target score from analyzeDifficulty (0-100); bands rise with the level
 
     // Note durations
     noteDurations: ['1/4'],
@@ -31,6 +32,12 @@ export const LEVEL_CONFIGURATIONS = {
     intervals: [1, 2, 3],
     chordProgressions: ['pop'],
 
+    // Melodic contour: weight of each interval and direction, and limits on leaps (a 4th or wider)
+    intervalWeights: { 1: 1, 2: 4, 3: 1 },  // Mostly steps
+    directionWeights: { up: 1, down: 1 },
+    maxConsecutiveLeaps: 0,
+    leapRecovery: true,
+
     // Left hand settings
     leftHandPatterns: ['single-notes'],
     leftHandBrokenChords: ['1-3-5-3'],
@@ -72,11 +79,16 @@ export const LEVEL_CONFIGURATIONS = {
     timeSignature: '4/4',
     measures: 4,
     tempo: 80,
+    difficultyBand: { min: 0, max: 20 },
 
     noteDurations: ['1/4', '1/2'],  // Add half notes
 
     intervals: [1, 2, 3],
     chordProgressions: ['pop'],
+    intervalWeights: { 1: 1, 2: 4, 3: 1 },
+    directionWeights: { up: 1, down: 1 },
+    maxConsecutiveLeaps: 0,
+    leapRecovery: true,
 
     leftHandPatterns: ['single-notes'],
     leftHandBrokenChords: ['1-3-5-3'],
@@ -112,11 +124,16 @@ export const LEVEL_CONFIGURATIONS = {
     timeSignature: '4/4',
     measures: 4,
     tempo: 80,
+    difficultyBand: { min: 5, max: 25 },
 
     noteDurations: ['1/4', '1/2'],
 
     intervals: [1, 2, 3],  // Unison, 2nds, 3rds
     chordProgressions: ['pop', '50s'],
+    intervalWeights: { 1: 1, 2: 3, 3: 2 },  // More 3rds
+    directionWeights: { up: 1, down: 1 },
+    maxConsecutiveLeaps: 0,
+    leapRecovery: true,
 
     leftHandPatterns: ['block-chords'],  // LH plays block chords
     leftHandBrokenChords: ['1-3-5-3'],
@@ -152,11 +169,16 @@ export const LEVEL_CONFIGURATIONS = {
     timeSignature: '4/4',
     measures: 4,
     tempo: 90,
+    difficultyBand: { min: 5, max: 30 },
 
     noteDurations: ['1/4', '1/2'],
 
     intervals: [1, 2, 3],  // Unison, 2nds, 3rds
     chordProgressions: ['pop', '50s'],
+    intervalWeights: { 1: 1, 2: 3, 3: 2 },
+    directionWeights: { up: 1, down: 1 },
+    maxConsecutiveLeaps: 0,
+    leapRecovery: true,
 
     leftHandPatterns: ['block-chords'],  // LH plays block chords
     leftHandBrokenChords: ['1-3-5-3'],
@@ -192,11 +214,16 @@ export const LEVEL_CONFIGURATIONS = {
     timeSignature: '4/4',
     measures: 6,
     tempo: 80,
+    difficultyBand: { min: 5, max: 35 },
 
     noteDurations: ['1/4', '1/8'],  // Add eighth notes
 
     intervals: [1, 2, 3, 4],  // Add 4ths
     chordProgressions: ['pop', '50s', 'basic-cadence'],
+    intervalWeights: { 1: 1, 2: 3, 3: 2, 4: 1 },  // Occasional 4ths, recovered by step
+    directionWeights: { up: 1, down: 1 },
+    maxConsecutiveLeaps: 1,
+    leapRecovery: true,
 
     leftHandPatterns: ['block-chords'],
     leftHandBrokenChords: ['1-3-5-3', '1-5-3-5'],
@@ -232,11 +259,16 @@ export const LEVEL_CONFIGURATIONS = {
     timeSignature: '3/4',  // Waltz time
     measures: 6,
     tempo: 110,
+    difficultyBand: { min: 10, max: 40 },
 
     noteDurations: ['1/4', '1/8', '1/2'],
 
     intervals: [1, 2, 3, 4, 5],  // Add 5ths
     chordProgressions: ['pop', '50s', 'basic-cadence', 'pop-variation'],
+    intervalWeights: { 1: 1, 2: 3, 3: 2, 4: 1, 5: 1 },
+    directionWeights: { up: 1, down: 1 },
+    maxConsecutiveLeaps: 1,
+    leapRecovery: true,
 
     leftHandPatterns: ['block-chords', 'broken-chords'],
     leftHandBrokenChords: ['1-3-5-3', '1-5-3-5'],
@@ -272,11 +304,16 @@ export const LEVEL_CONFIGURATIONS = {
     timeSignature: '4/4',
     measures: 8,
     tempo: 120,
+    difficultyBand: { min: 15, max: 45 },
 
     noteDurations: ['1/16', '1/8', '1/4', '1/2'],  // Add sixteenth notes
 
     intervals: [1, 2, 3, 4, 5, 6],  // Add 6ths
     chordProgressions: ['pop', '50s', 'basic-cadence', 'pop-variation', 'jazz'],
+    intervalWeights: { 1: 1, 2: 2, 3: 2, 4: 2, 5: 1, 6: 1 },  // Leaps as common as steps
+    directionWeights: { up: 1, down: 1 },
+    maxConsecutiveLeaps: 1,
+    leapRecovery: true,
 
     leftHandPatterns: ['block-chords', 'broken-chords', 'alberti-bass'],
     leftHandBrokenChords: ['1-3-5-3', '1-5-3-5', '1-5-3-1'],
@@ -312,11 +349,16 @@ export const LEVEL_CONFIGURATIONS = {
     timeSignature: '4/4',
     measures: 8,
     tempo: 120,
+    difficultyBand: { min: 15, max: 50 },
 
     noteDurations: ['1/16', '1/8', '1/4', '1/2', '1'],  // Add whole notes
 
     intervals: [1, 2, 3, 4, 5, 6, 7],  // Add 7ths
     chordProgressions: ['pop', '50s', 'basic-cadence', 'pop-variation', 'jazz', 'alternating', 'minor-start'],
+    intervalWeights: { 1: 1, 2: 2, 3: 2, 4: 2, 5: 2, 6: 1, 7: 1 },
+    directionWeights: { up: 1, down: 1 },
+    maxConsecutiveLeaps: 2,
+    leapRecovery: true,
 
     leftHandPatterns: ['block-chords', 'broken-chords', 'alberti-bass', 'octaves'],
     leftHandBrokenChords: ['1-3-5-3', '1-5-3-5', '1-5-3-1'],
@@ -352,11 +394,16 @@ export const LEVEL_CONFIGURATIONS = {
     timeSignature: '6/8',  // Compound meter
     measures: 8,
     tempo: 130,
+    difficultyBand: { min: 25, max: 60 },
 
     noteDurations: ['1/16', '1/8', '1/4', '1/2', '1'],
 
     intervals: [1, 2, 3, 4, 5, 6, 7, 8],  // Add octaves
     chordProgressions: ['pop', '50s', 'basic-cadence', 'pop-variation', 'jazz', 'alternating', 'minor-start', 'variation'],
+    intervalWeights: { 1: 1, 2: 2, 3: 2, 4: 2, 5: 2, 6: 2, 7: 1, 8: 1 },  // Leaps may continue without recovering
+    directionWeights: { up: 1, down: 1 },
+    maxConsecutiveLeaps: 2,
+    leapRecovery: false,
 
     leftHandPatterns: ['block-chords', 'broken-chords', 'alberti-bass', 'octaves', 'walking-bass'],
     leftHandBrokenChords: ['1-3-5-3', '1-5-3-5', '1-5-3-1'],
@@ -392,11 +439,16 @@ export const LEVEL_CONFIGURATIONS = {
     timeSignature: '12/8',
     measures: 12,
     tempo: 140,
+    difficultyBand: { min: 35, max: 75 },
 
     noteDurations: ['1/16', '1/8', '1/4', '1/2', '1'],
 
     intervals: [1, 2, 3, 4, 5, 6, 7, 8],
     chordProgressions: ['pop', '50s', 'basic-cadence', 'pop-variation', 'jazz', 'alternating', 'minor-start', 'variation'],
+    intervalWeights: null,  // All intervals equally likely
+    directionWeights: { up: 1, down: 1 },
+    maxConsecutiveLeaps: null,
+    leapRecovery: false,
 
     leftHandPatterns: ['block-chords', 'broken-chords', 'alberti-bass', 'octaves', 'walking-bass'],
     leftHandBrokenChords: ['1-3-5-3', '1-5-3-5', '1-5-3-1'],
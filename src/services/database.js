@@ -84,11 +84,25 @@ export const loginUser = async (username, password) => {
 export const settingsToDb = (settings) => {
   return {
     key_signature: settings.key,
+    modulation: settings.modulation || 'none',
     time_signature: settings.timeSignature,
+    beat_grouping: settings.beatGrouping || null,
+    meter_changes: settings.meterChanges || false,
+    clef_changes: settings.clefChanges || false,
+    staff_mode: settings.staffMode || 'grand',
+    phrase_structure: settings.phraseStructure || 'none',
+    interval_weights: settings.intervalWeights || null,
+    direction_weights: settings.directionWeights || null,
+    max_consecutive_leaps: settings.maxConsecutiveLeaps ?? null,
+    leap_recovery: settings.leapRecovery || false,
     measures: settings.measures,
     intervals: settings.intervals || [],
     note_durations: settings.noteDurations || [],
+    tied_notes: settings.tiedNotes || false,
+    syncopation: settings.syncopation || 'none',
+    rest_density: settings.restDensity || 'none',
     chord_progressions: settings.chordProgressions || [],
+    custom_progression: settings.customProgression || '',
     rh_patterns: settings.rightHandPatterns || [],
     lh_patterns: settings.leftHandPatterns || [],
     swap_hand_patterns: settings.swapHandPatterns || false
@@ -103,11 +117,25 @@ export const settingsToDb = (settings) => {
 export const dbToSettings = (dbRow) => {
   return {
     key: dbRow.key_signature,
+    modulation: dbRow.modulation || 'none',
     timeSignature: dbRow.time_signature,
+    beatGrouping: dbRow.beat_grouping || null,
+    meterChanges: dbRow.meter_changes || false,
+    clefChanges: dbRow.clef_changes || false,
+    staffMode: dbRow.staff_mode || 'grand',
+    phraseStructure: dbRow.phrase_structure || 'none',
+    intervalWeights: dbRow.interval_weights || null,
+    directionWeights: dbRow.direction_weights || null,
+    maxConsecutiveLeaps: dbRow.max_consecutive_leaps ?? null,
+    leapRecovery: dbRow.leap_recovery || false,
     measures: dbRow.measures,
     intervals: dbRow.intervals || [1, 2, 3, 4, 5],
     noteDurations: dbRow.note_durations || ['1/8', '1/4'],
+    tiedNotes: dbRow.tied_notes || false,
+    syncopation: dbRow.syncopation || 'none',
+    restDensity: dbRow.rest_density || 'none',
     chordProgressions: dbRow.chord_progressions || ['pop', '50s', 'pop-variation'],
+    customProgression: dbRow.custom_progression || '',
     rightHandPatterns: dbRow.rh_patterns || ['single-notes'],
     leftHandPatterns: dbRow.lh_patterns || ['block-chords'],
     swapHandPatterns: dbRow.swap_hand_patterns || false,
@@ -116,12 +144,17 @@ export const dbToSettings = (dbRow) => {
     leftHandBrokenChords: ['1-3-5-3'],
     rightHandIntervals: ['2nd'],
     rightHand4NoteChords: ['major'],
+    practiceMode: 'standard',
     chordTypes: ['major', 'minor'],
     chordInversions: ['root'],
     chordVoicings: ['closed'],
     chordRhythms: ['straight'],
     melodicPatterns: ['melodies'],
     melodicArticulations: ['legato'],
+    chromaticNotes: false,
+    pickupMeasure: false,
+    finalCadence: false,
+    minorMode: 'natural',
     musicScale: 1.0,
     selectedLevel: null
   };
@@ -26,24 +26,44 @@ export class ExerciseService {
         user_id: userId,
         exercise_name: exerciseName.trim(),
         key_signature: settings.key || 'C',
+        minor_mode: settings.minorMode || 'natural',
+        modulation: settings.modulation || 'none',
         time_signature: settings.timeSignature || '4/4',
+        beat_grouping: settings.beatGrouping || null,
+        meter_changes: settings.meterChanges || false,
+        clef_changes: settings.clefChanges || false,
+        staff_mode: settings.staffMode || 'grand',
+        phrase_structure: settings.phraseStructure || 'none',
+        interval_weights: settings.intervalWeights || null,
+        direction_weights: settings.directionWeights || null,
+        max_consecutive_leaps: settings.maxConsecutiveLeaps ?? null,
+        leap_recovery: settings.leapRecovery || false,
+        seed: settings.seed ?? null,
         measures: settings.measures || 8,
         tempo: settings.tempo || 120,
         intervals: settings.intervals || [1, 2, 3, 4, 5],
         note_durations: settings.noteDurations || ['1/8', '1/4'],
+        tied_notes: settings.tiedNotes || false,
+        syncopation: settings.syncopation || 'none',
+        rest_density: settings.restDensity || 'none',
         chord_progressions: settings.chordProgressions || ['pop'],
+        custom_progression: settings.customProgression || '',
         left_hand_patterns: settings.leftHandPatterns || ['block-chords'],
         left_hand_broken_chords: settings.leftHandBrokenChords || ['1-3-5-3'],
         right_hand_patterns: settings.rightHandPatterns || ['single-notes'],
         right_hand_intervals: settings.rightHandIntervals || ['2nd'],
         right_hand_4_note_chords: settings.rightHand4NoteChords || ['major'],
         swap_hand_patterns: settings.swapHandPatterns || false,
+        practice_mode: settings.practiceMode || 'standard',
         chord_types: settings.chordTypes || ['major', 'minor'],
         chord_inversions: settings.chordInversions || ['root'],
         chord_voicings: settings.chordVoicings || ['closed'],
         chord_rhythms: settings.chordRhythms || ['straight'],
         melodic_patterns: settings.melodicPatterns || ['melodies'],
         melodic_articulations: settings.melodicArticulations || ['legato'],
+        chromatic_notes: settings.chromaticNotes || false,
+        pickup_measure: settings.pickupMeasure || false,
+        final_cadence: settings.finalCadence || false,
         music_scale: settings.musicScale || 1.0,
         selected_level: settings.selectedLevel
       };
@@ -204,24 +224,44 @@ export class ExerciseService {
   static convertToSettings(exerciseRecord) {
     return {
       key: exerciseRecord.key_signature,
+      minorMode: exerciseRecord.minor_mode || 'natural',
+      modulation: exerciseRecord.modulation || 'none',
       timeSignature: exerciseRecord.time_signature,
+      beatGrouping: exerciseRecord.beat_grouping || null,
+      meterChanges: exerciseRecord.meter_changes || false,
+      clefChanges: exerciseRecord.clef_changes || false,
+      staffMode: exerciseRecord.staff_mode || 'grand',
+      phraseStructure: exerciseRecord.phrase_structure || 'none',
+      intervalWeights: exerciseRecord.interval_weights || null,
+      directionWeights: exerciseRecord.direction_weights || null,
+      maxConsecutiveLeaps: exerciseRecord.max_consecutive_leaps ?? null,
+      leapRecovery: exerciseRecord.leap_recovery || false,
+      seed: exerciseRecord.seed ?? null,
       measures: exerciseRecord.measures,
       tempo: exerciseRecord.tempo,
       intervals: exerciseRecord.intervals,
       noteDurations: exerciseRecord.note_durations,
+      tiedNotes: exerciseRecord.tied_notes || false,
+      syncopation: exerciseRecord.syncopation || 'none',
+      restDensity: exerciseRecord.rest_density || 'none',
       chordProgressions: exerciseRecord.chord_progressions,
+      customProgression: exerciseRecord.custom_progression || '',
       leftHandPatterns: exerciseRecord.left_hand_patterns,
       leftHandBrokenChords: exerciseRecord.left_hand_broken_chords,
       rightHandPatterns: exerciseRecord.right_hand_patterns,
       rightHandIntervals: exerciseRecord.right_hand_intervals,
       rightHand4NoteChords: exerciseRecord.right_hand_4_note_chords,
       swapHandPatterns: exerciseRecord.swap_hand_patterns,
+      practiceMode: exerciseRecord.practice_mode || 'standard',
       chordTypes: exerciseRecord.chord_types,
       chordInversions: exerciseRecord.chord_inversions,
       chordVoicings: exerciseRecord.chord_voicings,
       chordRhythms: exerciseRecord.chord_rhythms,
       melodicPatterns: exerciseRecord.melodic_patterns,
       melodicArticulations: exerciseRecord.melodic_articulations,
+      chromaticNotes: exerciseRecord.chromatic_notes || false,
+      pickupMeasure: exerciseRecord.pickup_measure || false,
+      finalCadence: exerciseRecord.final_cadence || false,
       musicScale: exerciseRecord.music_scale,
       selectedLevel: exerciseRecord.selected_level
     };
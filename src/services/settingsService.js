@@ -4,24 +4,43 @@ import { ExerciseService } from './exerciseService.js';
 // Default settings structure
 export const DEFAULT_SETTINGS = {
   key: 'C',
+  minorMode: 'natural',
+  modulation: 'none',
   timeSignature: '4/4',
+  beatGrouping: null,
+  meterChanges: false,
+  clefChanges: false,
+  staffMode: 'grand',
+  phraseStructure: 'none',
+  intervalWeights: null,
+  directionWeights: null,
+  maxConsecutiveLeaps: null,
+  leapRecovery: false,
   measures: 8,
   tempo: 120,
   intervals: [1, 2, 3, 4, 5],
   noteDurations: ['1/8', '1/4'],
+  tiedNotes: false,
+  syncopation: 'none',
+  restDensity: 'none',
   chordProgressions: ['pop', '50s', 'pop-variation', 'basic-cadence', 'jazz', 'alternating', 'minor-start', 'variation'],
+  customProgression: '',
   leftHandPatterns: ['block-chords'],
   leftHandBrokenChords: ['1-3-5-3'],
   rightHandPatterns: ['single-notes'],
   rightHandIntervals: ['2nd'],
   rightHand4NoteChords: ['major'],
   swapHandPatterns: false,
+  practiceMode: 'standard',
   chordTypes: ['major', 'minor'],
   chordInversions: ['root'],
   chordVoicings: ['closed'],
   chordRhythms: ['straight'],
   melodicPatterns: ['melodies'],
   melodicArticulations: ['legato'],
+  chromaticNotes: false,
+  pickupMeasure: false,
+  finalCadence: false,
   musicScale: 1.0,
   selectedLevel: null
 };
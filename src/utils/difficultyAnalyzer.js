@@ -0,0 +1,226 @@
+import { generateRandomABC, parseAbcForNoteMetadata } from './musicGenerator.js';
+import { getLevelConfiguration, getAllLevelNumbers } from '../config/levelConfigurations.js';
+
+/**
+ * Difficulty estimate for generated exercises
+ *
+ * An exercise is scored from 0 to 100 on seven factors. Each factor is measured from the
+ * note metadata, rated 0-10 between an easy and a hard reference value, and weighted by how
+ * much it slows down reading at sight.
+ */
+
+/**
+ * Factors of the difficulty score
+ * A value at `easy` or below rates 0, a value at `hard` or above rates 10, and values in between rate linearly.
+ */
+export const DIFFICULTY_FACTORS = [
+  { id: 'rangeSpan', label: 'Range', description: 'Widest span of one hand in semitones', easy: 7, hard: 31, weight: 1 },
+  { id: 'leapSize', label: 'Leaps', description: 'Average move between notes of a hand in semitones', easy: 2, hard: 7, weight: 1.5 },
+  { id: 'rhythmicDensity', label: 'Rhythm', description: 'Notes and chords played per quarter note, both hands', easy: 1, hard: 6, weight: 1.5 },
+  { id: 'accidentals', label: 'Accidentals', description: 'Share of notes that are sharp, flat or written with an accidental', easy: 0, hard: 0.5, weight: 1 },
+  { id: 'chordDensity', label: 'Chords', description: 'Average number of notes struck together', easy: 1, hard: 3, weight: 1 },
+  { id: 'handIndependence', label: 'Hand Independence', description: 'Share of attacks one hand plays alone while the other hand also moves', easy: 0, hard: 0.8, weight: 1.5 },
+  { id: 'tempo', label: 'Tempo', description: 'Beats per minute', easy: 60, hard: 160, weight: 1 }
+];
+
+/**
+ * Get a word for a difficulty score
+ * @param {number} score - Difficulty score (0-100)
+ * @returns {string} 'Easy', 'Moderate', 'Hard' or 'Very Hard'
+ */
+export function getDifficultyLabel(score) {
+  if (score < 25) return 'Easy';
+  if (score < 50) return 'Moderate';
+  if (score < 75) return 'Hard';
+  return 'Very Hard';
+}
+
+/**
+ * Estimate how hard an exercise is to sight-read
+ * @param {string|Object[]} exercise - ABC notation from generateRandomABC, or its noteMetadata
+ * @param {Object} options - Optional { tempo } to use instead of the ABC's Q: field (120 when neither is given)
+ * @returns {Object} { score, breakdown } - score is 0-100; breakdown has { label, value, rating } for each
+ *   factor in DIFFICULTY_FACTORS, value being the measured amount and rating its 0-10 share of the score
+ */
+export function analyzeDifficulty(exercise, options = {}) {
+  const isAbc = typeof exercise === 'string';
+  const noteMetadata = isAbc
+    ? parseAbcForNoteMetadata(exercise, readHeaderField(exercise, 'M') || '4/4', 'difficulty')
+    : exercise || [];
+  const headerTempo = isAbc ? parseInt((readHeaderField(exercise, 'Q') || '').split('=').pop()) : NaN;
+  const tempo = options.tempo || (Number.isFinite(headerTempo) ? headerTempo : 120);
+
+  const attacksByVoice = groupAttacks(noteMetadata);
+  const values = {
+    ...measurePitches(noteMetadata, attacksByVoice),
+    ...measureRhythm(noteMetadata, attacksByVoice),
+    tempo
+  };
+
+  const breakdown = {};
+  let weightedRatings = 0;
+  let totalWeight = 0;
+  DIFFICULTY_FACTORS.forEach(({ id, label, easy, hard, weight }) => {
+    const rating = Math.min(10, Math.max(0, ((values[id] - easy) / (hard - easy)) * 10));
+    breakdown[id] = { label, value: Math.round(values[id] * 100) / 100, rating: Math.round(rating * 10) / 10 };
+    weightedRatings += rating * weight;
+    totalWeight += weight;
+  });
+
+  return {
+    score: Math.round((weightedRatings / totalWeight) * 10),
+    breakdown
+  };
+}
+
+/**
+ * Generate sample exercises of a level and compare their difficulty with the level's target band
+ * @param {number} levelNumber - Level number (1-10)
+ * @param {number} sampleCount - Number of exercises to generate (each with its own fixed seed)
+ * @returns {Object|null} { levelNumber, band, average, lowest, highest, inBand }, or null for an invalid level
+ */
+export function checkLevelDifficulty(levelNumber, sampleCount = 10) {
+  const config = getLevelConfiguration(levelNumber);
+  if (!config) return null;
+
+  const scores = Array.from({ length: sampleCount }, (_, i) => {
+    const { abcNotation } = generateRandomABC({ ...config, seed: `level-${levelNumber}-${i}` }, 'difficulty');
+    return analyzeDifficulty(abcNotation, { tempo: config.tempo }).score;
+  });
+  const average = Math.round(scores.reduce((total, score) => total + score, 0) / scores.length);
+  const band = config.difficultyBand || { min: 0, max: 100 };
+
+  return {
+    levelNumber,
+    band,
+    average,
+    lowest: Math.min(...scores),
+    highest: Math.max(...scores),
+    inBand: average >= band.min && average <= band.max
+  };
+}
+
+/**
+ * Check every level against its band and against the level before it
+ * Bands should rise (or stay level) with the level number. A level whose measured average
+ * falls below the one before is listed too, as a sign its settings are easier than intended.
+ * @param {number} sampleCount - Number of exercises to generate per level
+ * @returns {Object} { levels, outOfBand, bandInversions, easierThanPrevious } - levels has the
+ *   checkLevelDifficulty result of each level; the other fields list the level numbers that fail each check
+ */
+export function checkLevelProgression(sampleCount = 10) {
+  const levels = getAllLevelNumbers().map(levelNumber => checkLevelDifficulty(levelNumber, sampleCount));
+  const failing = check => levels.filter((level, i) => check(level, levels[i - 1])).map(level => level.levelNumber);
+
+  return {
+    levels,
+    outOfBand: failing(level => !level.inBand),
+    bandInversions: failing((level, previous) => previous && (level.band.min < previous.band.min || level.band.max < previous.band.max)),
+    easierThanPrevious: failing((level, previous) => previous && level.average < previous.average)
+  };
+}
+
+/**
+ * Read a header field of ABC notation
+ * @param {string} abcString - ABC notation
+ * @param {string} field - Field letter (e.g., 'M', 'Q')
+ * @returns {string|null} Field value (e.g., '4/4'), or null if the field is missing
+ */
+function readHeaderField(abcString, field) {
+  const match = abcString.match(new RegExp(`^${field}:(.*)$`, 'm'));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Group the sounding notes of each hand into attacks (notes struck together)
+ * @param {Object[]} noteMetadata - Note metadata from generateRandomABC
+ * @returns {Object[][]} Attacks of each voice in time order (empty for a voice without notes),
+ *   each { measureIndex, startTime, pitches }
+ */
+function groupAttacks(noteMetadata) {
+  const attacksByVoice = [];
+  noteMetadata.filter(note => !note.isRest && note.midiPitch !== null).forEach(note => {
+    const attacks = attacksByVoice[note.voiceIndex] || (attacksByVoice[note.voiceIndex] = []);
+    const attack = attacks.find(({ measureIndex, startTime }) => measureIndex === note.measureIndex && startTime === note.startTime);
+    if (attack) {
+      attack.pitches.push(note.midiPitch);
+    } else {
+      attacks.push({ measureIndex: note.measureIndex, startTime: note.startTime, pitches: [note.midiPitch] });
+    }
+  });
+
+  return Array.from(attacksByVoice, attacks =>
+    (attacks || []).sort((a, b) => a.measureIndex - b.measureIndex || a.startTime - b.startTime));
+}
+
+/**
+ * Measure the pitch factors: range span, leap size, accidentals and chord density
+ * The upper voice is followed by its top note and the lower voices by their bass note.
+ * @param {Object[]} noteMetadata - Note metadata from generateRandomABC
+ * @param {Object[][]} attacksByVoice - Attacks of each voice from groupAttacks
+ * @returns {Object} { rangeSpan, leapSize, accidentals, chordDensity }
+ */
+function measurePitches(noteMetadata, attacksByVoice) {
+  const attacks = attacksByVoice.flat();
+  const notes = noteMetadata.filter(note => !note.isRest && note.midiPitch !== null);
+
+  const rangeSpan = Math.max(0, ...attacksByVoice.filter(voiceAttacks => voiceAttacks.length > 0).map(voiceAttacks => {
+    const pitches = voiceAttacks.flatMap(attack => attack.pitches);
+    return Math.max(...pitches) - Math.min(...pitches);
+  }));
+
+  const moves = attacksByVoice.flatMap((voiceAttacks, voiceIndex) => {
+    const line = voiceAttacks.map(attack => (voiceIndex === 0 ? Math.max(...attack.pitches) : Math.min(...attack.pitches)));
+    return line.slice(1).map((pitch, i) => Math.abs(pitch - line[i]));
+  });
+
+  const alteredNotes = notes.filter(note => /^[A-G][#b]/.test(note.expectedNote) || /^[_^=]/.test(note.abcNotation || ''));
+
+  return {
+    rangeSpan,
+    leapSize: moves.length > 0 ? moves.reduce((total, move) => total + move, 0) / moves.length : 0,
+    accidentals: notes.length > 0 ? alteredNotes.length / notes.length : 0,
+    chordDensity: attacks.length > 0 ? notes.length / attacks.length : 0
+  };
+}
+
+/**
+ * Measure the rhythm factors: rhythmic density and hand independence
+ * @param {Object[]} noteMetadata - Note metadata from generateRandomABC
+ * @param {Object[][]} attacksByVoice - Attacks of each voice from groupAttacks
+ * @returns {Object} { rhythmicDensity, handIndependence }
+ */
+function measureRhythm(noteMetadata, attacksByVoice) {
+  // Each measure lasts until its last note or rest ends (a pickup is shorter than a full bar)
+  const measureLengths = {};
+  noteMetadata.forEach(note => {
+    measureLengths[note.measureIndex] = Math.max(measureLengths[note.measureIndex] || 0, note.startTime + note.duration);
+  });
+  const quarterNotes = Object.values(measureLengths).reduce((total, length) => total + length, 0) / 2;
+  const attackCount = attacksByVoice.reduce((total, attacks) => total + attacks.length, 0);
+
+  // Where both hands play in a measure, count the attacks one hand plays alone while the other
+  // hand also strikes within a quarter note; a melody over a held chord is mostly not independent
+  let sharedMeasureAttacks = 0;
+  let independentAttacks = 0;
+  if (attacksByVoice.length > 1) {
+    Object.keys(measureLengths).map(Number).forEach(measureIndex => {
+      const timesByVoice = attacksByVoice.map(attacks =>
+        attacks.filter(attack => attack.measureIndex === measureIndex).map(attack => attack.startTime));
+      if (timesByVoice.filter(times => times.length > 0).length < 2) return;
+
+      const allTimes = [...new Set(timesByVoice.flat())];
+      sharedMeasureAttacks += allTimes.length;
+      independentAttacks += allTimes.filter(time => {
+        const playing = timesByVoice.filter(times => times.includes(time));
+        const nearby = timesByVoice.filter(times => !times.includes(time) && times.some(other => Math.abs(other - time) < 2));
+        return playing.length === 1 && nearby.length > 0;
+      }).length;
+    });
+  }
+
+  return {
+    rhythmicDensity: quarterNotes > 0 ? attackCount / quarterNotes : 0,
+    handIndependence: sharedMeasureAttacks > 0 ? independentAttacks / sharedMeasureAttacks : 0
+  };
+}
@@ -0,0 +1,14 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkLevelProgression } from './difficultyAnalyzer.js';
+
+// The generator logs every exercise it writes
+mock.method(console, 'log', () => {});
+
+test('level bands rise with the level number and every level scores in its band', () => {
+  const { levels, outOfBand, bandInversions } = checkLevelProgression();
+  const summary = levels.map(({ levelNumber, band, average }) => `${levelNumber}: ${average} (${band.min}-${band.max})`).join(', ');
+
+  assert.deepEqual(bandInversions, [], `bands must not fall: ${summary}`);
+  assert.deepEqual(outOfBand, [], `levels must score in their band: ${summary}`);
+});
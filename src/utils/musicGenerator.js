@@ -8,10 +8,17 @@
  * @param {Object} options - Configuration options
  * @param {number} options.measures - Number of measures to generate (1-32)
  * @param {string} options.key - Musical key (e.g., 'C', 'G', 'D', 'Am', 'Em')
- * @param {string} options.timeSignature - Time signature (e.g., '4/4', '3/4', '2/4', '6/8', '12/8', '2/2')
+ * @param {string} options.minorMode - Minor mode for minor keys ('natural', 'harmonic', 'melodic')
+ * @param {string} options.timeSignature - Time signature (e.g., '4/4', '3/4', '2/4', '6/8', '12/8', '2/2', '7/8')
+ * @param {string} options.beatGrouping - Grouping of an asymmetric meter (e.g., '3+2+2' for 7/8, see AVAILABLE_BEAT_GROUPINGS)
  * @param {number[]} options.intervals - Available intervals (1-8)
- * @param {string[]} options.noteDurations - Available note durations ('1/16', '1/8', '1/4', '1/2', '1')
+ * @param {string[]} options.noteDurations - Available note durations ('1/16', '1/8', '1/4', '1/2', '1', dotted '3/16', '3/8', '3/4',
+ *   and for melodies '1/8-triplet', '1/4-triplet', '1/16-sextuplet')
+ * @param {string} options.syncopation - How often melodies start notes off the beat ('none', 'light', 'heavy')
+ * @param {boolean} options.tiedNotes - If true, melody notes crossing a beat are written as tied notes
+ * @param {string} options.restDensity - How often notes in both hands' patterns become rests ('none', 'light', 'heavy')
  * @param {string[]} options.chordProgressions - Selected chord progression IDs
+ * @param {string} options.customProgression - Roman numeral progression (e.g., 'I IV/IV V/V V') used instead of the presets
  * @param {string[]} options.leftHandPatterns - Selected left hand pattern IDs
  * @param {string[]} options.rightHandPatterns - Selected right hand pattern IDs
  * @param {string[]} options.rightHandIntervals - Selected right hand interval types ('2nd', '3rd', etc.)
@@ -20,9 +27,21 @@
  * @param {Object} options.noteRange.treble - Treble clef range (e.g., { min: 'C4', max: 'C5' })
  * @param {Object} options.noteRange.bass - Bass clef range (e.g., { min: 'C3', max: 'C4' })
  * @param {boolean} options.alternatingHands - If true, only one hand plays at a time (alternates by measure)
+ * @param {string} options.practiceMode - 'standard', 'chords' (driven by the chord settings below) or 'melodic' (driven by melodicPatterns)
+ * @param {string[]} options.chordTypes - Chord practice qualities (e.g., 'major', 'augmented', 'minor7th')
+ * @param {string[]} options.chordInversions - Chord practice inversions ('root', 'first', 'second', 'third')
+ * @param {string[]} options.chordVoicings - Chord practice voicings ('closed', 'open', 'spread', 'drop2', 'drop3')
+ * @param {string[]} options.chordRhythms - Chord practice comping styles ('straight', 'swing', 'bossa-nova', etc.)
+ * @param {string[]} options.melodicPatterns - Melodic practice pattern ('melodies', 'scales', 'arpeggios')
+ * @param {string[]} options.melodicArticulations - Melodic practice articulation ('legato', 'staccato', 'accent')
+ * @param {boolean} options.chromaticNotes - If true, single-note melodies get chromatic passing and neighbor tones
+ * @param {boolean} options.pickupMeasure - If true, a one-beat pickup bar leads in and the final bar is shortened by the same length
+ * @param {boolean} options.finalCadence - If true, the last two measures are harmonized V-I and the last one holds the tonic in both hands
+ * @param {number|string} options.seed - Optional seed; the same seed and options always produce the same exercise
  * @returns {Object} Object containing ABC notation string and note metadata
  *   - abcNotation: {string} ABC notation string
  *   - noteMetadata: {Array} Array of note objects with timing and pitch information
+ *   - seed: {number} Seed used for this exercise (pass it back in options.seed to regenerate it)
  */
 /**
  * Parse ABC notation to extract note metadata for all voices
@@ -35,7 +54,114 @@
 // NOTE: This is kept for backward compatibility but is only used when exerciseId is not provided
 let globalNoteIdCounter = 0;
 
-function parseAbcForNoteMetadata(abcString, timeSignature, exerciseId = null) {
+// Module-scoped random source used by every generator helper.
+// generateRandomABC swaps in a seeded PRNG for the duration of each call so exercises can be reproduced.
+let random = Math.random;
+
+// Beat grouping chosen for an asymmetric meter (e.g. '3+2+2' for 7/8), read by the meter helpers.
+// generateRandomABC sets it for the duration of each call in the same way as the random source.
+let selectedBeatGrouping = null;
+
+// Notices about settings the generator could not honor (e.g. a pattern that cannot fit the meter).
+// generateRandomABC collects them per call and returns them with the exercise.
+let generationWarnings = [];
+
+// Interval weights and contour limits for melodies, intervals and octaves, read by chooseMelodicMove.
+// generateRandomABC sets them for the duration of each call in the same way as the random source.
+let melodicContour = null;
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {Function} Function returning a float in [0, 1), like Math.random
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normalize a user-supplied seed to a 32-bit unsigned integer
+ * @param {number|string|null} seed - Seed value; strings are hashed, null/undefined creates a new random seed
+ * @returns {number} 32-bit unsigned integer seed
+ */
+function normalizeSeed(seed) {
+  if (seed === null || seed === undefined || seed === '') {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+
+  // Hash strings (FNV-1a) so seeds like "student-42" are also accepted
+  const text = String(seed);
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Report a setting the generator had to work around
+ * The warning is logged and returned with the exercise so the UI can show it (once per exercise).
+ * @param {string} message - Warning text shown to the user
+ */
+function addGenerationWarning(message) {
+  if (!generationWarnings.includes(message)) {
+    console.warn(message);
+    generationWarnings.push(message);
+  }
+}
+
+/**
+ * Get the key of every measure of an exercise, following inline [K:] key changes
+ * @param {string} abcString - ABC notation from generateRandomABC
+ * @returns {string[]} Key of each measure, pickup included (e.g., ['C', 'C', 'G', 'G'])
+ */
+export function getMeasureKeys(abcString) {
+  const measureKeys = [];
+  let currentKey = 'C';
+  let isTrebleVoice = false;
+
+  (abcString || '').split('\n').forEach(line => {
+    const trimmedLine = line.trim();
+    if (trimmedLine.startsWith('K:')) {
+      currentKey = trimmedLine.substring(2).trim().split(/\s+/)[0];
+    } else if (trimmedLine.startsWith('V:')) {
+      isTrebleVoice = trimmedLine === 'V:1';
+    } else if (isTrebleVoice) {
+      // Measures are read from the treble voice; the closing "]" of "|]" is not a measure
+      trimmedLine.split('|').filter(measure => measure.trim() !== '' && measure.trim() !== ']').forEach(measure => {
+        // A key field may only change the clef ([K:clef=bass]), which leaves the key alone
+        const keyNames = [...measure.matchAll(/\[K:([^\]]*)\]/g)]
+          .flatMap(field => field[1].trim().split(/\s+/))
+          .filter(token => token && !token.includes('='));
+        if (keyNames.length > 0) currentKey = keyNames[keyNames.length - 1];
+        measureKeys.push(currentKey);
+      });
+    }
+  });
+
+  return measureKeys;
+}
+
+/**
+ * Read the notes, chords and rests of an exercise into note metadata for scoring and highlighting
+ * @param {string} abcString - ABC notation from generateRandomABC
+ * @param {string} timeSignature - Time signature the exercise starts in (e.g., '4/4')
+ * @param {string} exerciseId - Optional prefix for scoped note IDs (e.g., 'ex1')
+ * @returns {Object[]} Note metadata in reading order, one entry per sounding note or rest
+ */
+export function parseAbcForNoteMetadata(abcString, timeSignature, exerciseId = null) {
 
   const noteMetadata = [];
 
@@ -55,7 +181,7 @@ function parseAbcForNoteMetadata(abcString, timeSignature, exerciseId = null) {
     }
   }
 
-  function noteNameToMidiPitch(noteName) {
+  function noteNameToMidiPitch(noteName, alteration = 0) {
     const noteMap = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
     
     const baseNote = noteName.charAt(0).toUpperCase();
@@ -74,10 +200,10 @@ function parseAbcForNoteMetadata(abcString, timeSignature, exerciseId = null) {
     }
     
     const baseMidi = noteMap[baseNote] || 0;
-    return baseMidi + (octave * 12);
+    return baseMidi + (octave * 12) + alteration;
   }
 
-  function convertAbcToStandardNotation(abcNote) {
+  function convertAbcToStandardNotation(abcNote, alteration = 0) {
     const baseNote = abcNote.charAt(0).toUpperCase();
     let octave = 4;
     
@@ -91,12 +217,35 @@ function parseAbcForNoteMetadata(abcString, timeSignature, exerciseId = null) {
       octave = 5 + apostrophes;
     }
     
-    return `${baseNote}${octave}`;
+    const accidental = alteration > 0 ? '#'.repeat(alteration) : 'b'.repeat(-alteration);
+    return `${baseNote}${accidental}${octave}`;
   }
 
-  // Parse time signature for beat calculations
-  const [beatsPerMeasure, beatUnit] = timeSignature.split('/').map(Number);
-  const _totalBeatsPerMeasure = beatsPerMeasure * (8 / beatUnit); // Not currently used but may be needed for validation
+  // Sounding alteration of a note: an explicit accidental lasts until the end of the bar,
+  // otherwise an earlier accidental on the same pitch in the bar, otherwise the key signature
+  function resolveAlteration(accidental, noteName, barAccidentals) {
+    const pitchKey = noteName.replace(/[^A-Ga-g',]/g, '');
+    if (accidental) {
+      barAccidentals[pitchKey] = accidentalValues[accidental];
+    }
+    if (pitchKey in barAccidentals) {
+      return barAccidentals[pitchKey];
+    }
+    return keyAccidentals[noteName.charAt(0).toUpperCase()] || 0;
+  }
+
+  const accidentalValues = { '^': 1, '^^': 2, '_': -1, '__': -2, '=': 0 };
+  let keyAccidentals = getKeySignatureAccidentals('C');
+
+  // Parse time signature for beat calculations; an inline [M:] field changes it from that measure on
+  let totalBeatsPerMeasure;
+  let isCompoundMeter;
+  function setMeter(meter) {
+    const [beatsPerMeasure, beatUnit] = meter.split('/').map(Number);
+    totalBeatsPerMeasure = beatsPerMeasure * (8 / beatUnit);
+    isCompoundMeter = beatUnit === 8 && beatsPerMeasure % 3 === 0 && beatsPerMeasure > 3;
+  }
+  setMeter(timeSignature);
 
   // Split ABC into lines and process
   const lines = abcString.split('\n');
@@ -104,6 +253,10 @@ function parseAbcForNoteMetadata(abcString, timeSignature, exerciseId = null) {
   let currentVoice = 0; // 0 = treble, 1 = bass
   let globalMeasureIndex = 0; // Global measure counter across both voices
   let currentMeasureIndexForLine = 0; // Measure index for the current musical line being processed
+  const slurDepthByVoice = [0, 0]; // Open slurs per voice - slurs can span measures and lines
+  const openTiesByVoice = [{}, {}]; // Tied notes per voice by MIDI pitch - ties can cross bar lines
+  const measureLengths = []; // Full bar length of each measure, from the treble voice
+  const clefByVoice = ['treble', 'bass']; // Clef in effect on each staff - inline [K:clef=] fields change it
 
   for (const line of lines) {
     const trimmedLine = line.trim();
@@ -118,6 +271,19 @@ function parseAbcForNoteMetadata(abcString, timeSignature, exerciseId = null) {
       continue;
     }
 
+    // Voice definitions (V:1 clef=alto) give the clef each staff starts in
+    const voiceClef = trimmedLine.match(/^V:(\d+)\s.*\bclef=(\S+)/);
+    if (voiceClef) {
+      clefByVoice[Number(voiceClef[1]) - 1] = voiceClef[2];
+      continue;
+    }
+
+    // Key signature supplies the accidentals of unmarked notes
+    if (trimmedLine.startsWith('K:')) {
+      keyAccidentals = getKeySignatureAccidentals(trimmedLine.substring(2).trim().split(/\s+/)[0]);
+      continue;
+    }
+
     // Skip header lines and empty lines
     if (trimmedLine.startsWith('X:') || trimmedLine.startsWith('T:') || 
         trimmedLine.startsWith('M:') || trimmedLine.startsWith('L:') || 
@@ -140,11 +306,22 @@ function parseAbcForNoteMetadata(abcString, timeSignature, exerciseId = null) {
       
       for (let i = 0; i < measures.length; i++) {
         const measure = measures[i];
-        const cleanMeasure = measure.replace(/\](?![0-9])/g, ''); // Only remove ] not followed by digits
+        const cleanMeasure = measure.replace(/^\]/, ''); // Only remove the ] of a final |], chords keep theirs
         const measureIndexForThisNote = currentMeasureIndexForLine + i;
         
         // Parse notes and chords in this measure
-        parseNotesInMeasure(cleanMeasure, currentVoice, measureIndexForThisNote, 0);
+        const firstEntry = noteMetadata.length;
+        const measureLength = parseNotesInMeasure(cleanMeasure, currentVoice, measureIndexForThisNote, 0);
+
+        // A short first measure is a pickup: its notes are the end of a bar, so they are timed from the bar's last beats
+        if (measureIndexForThisNote === 0 && measureLength > 0 && measureLength < totalBeatsPerMeasure) {
+          noteMetadata.slice(firstEntry).forEach(note => {
+            note.startTime += totalBeatsPerMeasure - measureLength;
+          });
+        }
+        if (currentVoice === 0) {
+          measureLengths[measureIndexForThisNote] = totalBeatsPerMeasure;
+        }
       }
       
       // Advance global measure index only after processing the first voice (treble)
@@ -155,68 +332,163 @@ function parseAbcForNoteMetadata(abcString, timeSignature, exerciseId = null) {
     }
   }
 
+  // Measures can differ in length when the meter changes, so every note also gets the start of its measure
+  // (in eighth notes from the start of the first bar, which a pickup fills only at the end)
+  const measureStartTimes = [0];
+  measureLengths.forEach((length, i) => {
+    measureStartTimes[i + 1] = measureStartTimes[i] + length;
+  });
+  noteMetadata.forEach(note => {
+    note.measureStartTime = measureStartTimes[note.measureIndex];
+  });
+
   function parseNotesInMeasure(measureText, voiceIndex, measureIndex, startingBeats) {
     let position = 0;
     let beatsUsed = startingBeats;
     let noteIndex = 0;    // For DOM lookup later
+    let pendingArticulation = null; // Staccato or decoration waiting for the next note
+    const barAccidentals = {};      // Accidentals written earlier in this bar, by pitch
+    let tuplet = { ratio: 1, noteCount: 0 }; // Open tuplet, e.g. (3 plays three notes in the time of two
+
+    // Length suffix of a note, chord or rest in eighth notes (e.g., '2', '/2', '3/2'),
+    // shortened or lengthened while inside a tuplet
+    function readDuration(text) {
+      const durationMatch = text.match(/^(\d*\/\d*|\d+)/);
+      const durationText = durationMatch ? durationMatch[1] : '';
+      const ratio = tuplet.noteCount > 0 ? tuplet.ratio : 1;
+      tuplet.noteCount--;
+      return { duration: (durationMatch ? parseEighthDuration(durationText) : 1) * ratio, durationText };
+    }
+
+    // A note tied from the previous note of the same pitch only lengthens that note,
+    // so scoring sees one sustained note. Returns true when the note continued a tie.
+    function continueTie(midiPitch, duration, openTies, isTied) {
+      const tiedNote = openTiesByVoice[voiceIndex][midiPitch];
+      if (!tiedNote) return false;
+      tiedNote.duration += duration;
+      if (isTied) openTies[midiPitch] = tiedNote;
+      return true;
+    }
+
+    // Articulation for the note being parsed: an explicit mark wins over an enclosing slur
+    function takeArticulation() {
+      const articulation = pendingArticulation || (slurDepthByVoice[voiceIndex] > 0 ? 'legato' : null);
+      pendingArticulation = null;
+      return articulation;
+    }
 
     while (position < measureText.length) {
       const char = measureText[position];
       
+      // Handle decorations (!accent!) - skipped as a whole so their letters are not read as notes
+      if (char === '!') {
+        const decorationEnd = measureText.indexOf('!', position + 1);
+        if (decorationEnd === -1) break;
+        pendingArticulation = measureText.substring(position + 1, decorationEnd);
+        position = decorationEnd + 1;
+        continue;
+      }
+      // Handle staccato dots and slurs
+      if (char === '.') {
+        pendingArticulation = 'staccato';
+        position++;
+        continue;
+      }
+      // Tuplet markers: (3, (6:4 or (p:q:r
+      const tupletMatch = char === '(' && measureText.substring(position).match(/^\(\d(?::\d*){0,2}/);
+      if (tupletMatch) {
+        tuplet = parseTupletMarker(tupletMatch[0], isCompoundMeter);
+        position += tupletMatch[0].length;
+        continue;
+      }
+      if (char === '(') {
+        slurDepthByVoice[voiceIndex]++;
+        position++;
+        continue;
+      }
+      if (char === ')') {
+        slurDepthByVoice[voiceIndex] = Math.max(0, slurDepthByVoice[voiceIndex] - 1);
+        position++;
+        continue;
+      }
+
+      // Inline fields ([M:3/4], [K:G], [K:clef=bass]) are not notes; a meter, key or clef change applies from this measure on
+      const fieldMatch = char === '[' && measureText.substring(position).match(/^\[([A-Za-z]):([^\]]*)\]/);
+      if (fieldMatch) {
+        if (fieldMatch[1] === 'M') {
+          setMeter(fieldMatch[2].trim());
+        } else if (fieldMatch[1] === 'K') {
+          fieldMatch[2].trim().split(/\s+/).filter(Boolean).forEach(token => {
+            if (token.startsWith('clef=')) {
+              clefByVoice[voiceIndex] = token.substring('clef='.length);
+            } else if (!token.includes('=')) {
+              keyAccidentals = getKeySignatureAccidentals(token);
+            }
+          });
+        }
+        position += fieldMatch[0].length;
+        continue;
+      }
+
       // Handle chord notation [A,C,E,]
       if (char === '[') {
         const chordEnd = measureText.indexOf(']', position);
         if (chordEnd === -1) break;
         
         const chordContent = measureText.substring(position + 1, chordEnd);
-        const durationMatch = measureText.substring(chordEnd + 1).match(/^(\d+)/);
-        const duration = durationMatch ? parseInt(durationMatch[1]) : 1;
+        const { duration, durationText } = readDuration(measureText.substring(chordEnd + 1));
+        const durationEnd = chordEnd + 1 + durationText.length;
+        const isTied = measureText[durationEnd] === '-';
+        const openTies = {};
         
         // Extract individual notes from chord using regex to preserve octave indicators
-        // Pattern: [A-G] followed by optional accidentals (#,b) and octave markers (',)
-        const notePattern = /[A-G][',#b]*/g;
-        const chordNotes = chordContent.match(notePattern) || [];
+        // Pattern: optional accidental (^, _, =), a note letter, octave markers (',) and a tie of that note alone,
+        // so a held inner note ([C-e]2 [C-d]2) stays one sounding note while the melody moves
+        const notePattern = /(\^{1,2}|_{1,2}|=)?([A-Ga-g][',]*)(-?)/g;
+        const chordNotes = [...chordContent.matchAll(notePattern)];
+        const chordArticulation = takeArticulation();
         
-        chordNotes.forEach(chordNote => {
-          const cleanNote = chordNote.trim();
-          if (cleanNote && cleanNote !== ',') {
+        chordNotes.forEach(([, accidental = '', cleanNote, noteTie]) => {
+          if (cleanNote) {
+            const writtenNote = accidental + cleanNote;
+            const isNoteTied = isTied || noteTie === '-';
+            const alteration = resolveAlteration(accidental, cleanNote, barAccidentals);
+            const midiPitch = noteNameToMidiPitch(cleanNote, alteration);
+            if (continueTie(midiPitch, duration, openTies, isNoteTied)) return;
+
             const noteId = generateNoteId();
             const metadata = {
               id: noteId,
-              expectedNote: convertAbcToStandardNotation(cleanNote),
-              midiPitch: noteNameToMidiPitch(cleanNote),
+              expectedNote: convertAbcToStandardNotation(cleanNote, alteration),
+              midiPitch: midiPitch,
               startTime: beatsUsed,
               duration: duration,
               measureIndex: measureIndex,
               voiceIndex: voiceIndex,
+              clef: clefByVoice[voiceIndex],  // Clef the note is read in
               noteIndex: noteIndex,  // For DOM lookup later
-              abcNotation: cleanNote + (duration > 1 ? duration.toString() : ''),
+              abcNotation: writtenNote + durationText,
+              articulation: chordArticulation,
               wasScored: false
             };
             noteMetadata.push(metadata);
+            if (isNoteTied) openTies[midiPitch] = metadata;
           }
         });
+        openTiesByVoice[voiceIndex] = openTies;
         
         beatsUsed += duration;
-        position = chordEnd + 1;
+        position = durationEnd + (isTied ? 1 : 0);
         noteIndex++;    // For DOM lookup later
-        
-        // Skip duration digits
-        while (position < measureText.length && /\d/.test(measureText[position])) {
-          position++;
-        }
       }
       // Handle rests (z or Z in ABC notation)
       else if (/[zZ]/.test(char)) {
         let restEnd = position + 1;
 
-        // Get duration
-        let duration = 1; // Default to eighth note
-        const durationMatch = measureText.substring(restEnd).match(/^(\d+)/);
-        if (durationMatch) {
-          duration = parseInt(durationMatch[1]);
-          restEnd += durationMatch[1].length;
-        }
+        // Get duration (default to eighth note)
+        const { duration, durationText } = readDuration(measureText.substring(restEnd));
+        restEnd += durationText.length;
+        openTiesByVoice[voiceIndex] = {};
 
         // Create metadata for rest
         const noteId = generateNoteId();
@@ -229,59 +501,74 @@ function parseAbcForNoteMetadata(abcString, timeSignature, exerciseId = null) {
           duration: duration,
           measureIndex: measureIndex,
           voiceIndex: voiceIndex,
+          clef: clefByVoice[voiceIndex],  // Clef the rest is read in
           noteIndex: noteIndex,  // For DOM lookup later
-          abcNotation: char + (duration > 1 ? duration.toString() : ''),
+          abcNotation: char + durationText,
           wasScored: false
         };
         noteMetadata.push(metadata);
 
         beatsUsed += duration;
         position = restEnd;
+        noteIndex++;    // abcjs numbers rests along with notes
       }
       // Handle individual notes
-      else if (/[A-Ga-g]/.test(char)) {
-        let noteEnd = position + 1;
+      else if (/[\^_=A-Ga-g]/.test(char)) {
+        // Leading accidental (^ sharp, _ flat, = natural, doubled for double sharp/flat)
+        const accidental = measureText.substring(position).match(/^(\^{1,2}|_{1,2}|=)?/)[0];
+        const letterPosition = position + accidental.length;
+        if (!/[A-Ga-g]/.test(measureText[letterPosition] || '')) {
+          position = letterPosition + 1;
+          continue;
+        }
+        let noteEnd = letterPosition + 1;
 
-        // Include accidentals and octave markers
-        while (noteEnd < measureText.length && /[',#b]/.test(measureText[noteEnd])) {
+        // Include octave markers
+        while (noteEnd < measureText.length && /[',]/.test(measureText[noteEnd])) {
           noteEnd++;
         }
 
-        // Get duration
-        let duration = 1; // Default to eighth note
-        const durationMatch = measureText.substring(noteEnd).match(/^(\d+)/);
-        if (durationMatch) {
-          duration = parseInt(durationMatch[1]);
-          noteEnd += durationMatch[1].length;
-        }
+        const noteName = measureText.substring(letterPosition, noteEnd);
 
-        const noteName = measureText.substring(position, noteEnd - (durationMatch ? durationMatch[1].length : 0));
+        // Get duration (default to eighth note) and a following tie
+        const { duration, durationText } = readDuration(measureText.substring(noteEnd));
+        noteEnd += durationText.length;
+        const isTied = measureText[noteEnd] === '-';
+        const openTies = {};
 
-        if (noteName) {
+        const alteration = resolveAlteration(accidental, noteName, barAccidentals);
+        const midiPitch = noteNameToMidiPitch(noteName, alteration);
+        if (!continueTie(midiPitch, duration, openTies, isTied)) {
           const noteId = generateNoteId();
           const metadata = {
             id: noteId,
-            expectedNote: convertAbcToStandardNotation(noteName),
-            midiPitch: noteNameToMidiPitch(noteName),
+            expectedNote: convertAbcToStandardNotation(noteName, alteration),
+            midiPitch: midiPitch,
             startTime: beatsUsed,
             duration: duration,
             measureIndex: measureIndex,
             voiceIndex: voiceIndex,
+            clef: clefByVoice[voiceIndex],  // Clef the note is read in
             noteIndex: noteIndex,  // For DOM lookup later
-            abcNotation: noteName + (duration > 1 ? duration.toString() : ''),
+            abcNotation: accidental + noteName + durationText,
+            articulation: takeArticulation(),
             wasScored: false
           };
           noteMetadata.push(metadata);
+          if (isTied) openTies[midiPitch] = metadata;
         }
+        openTiesByVoice[voiceIndex] = openTies;
 
         beatsUsed += duration;
-        position = noteEnd;
+        position = noteEnd + (isTied ? 1 : 0);
         noteIndex++;    // For DOM lookup later
       }
       else {
         position++;
       }
     }
+
+    return beatsUsed;
   }
 
   console.log('✅ Parser complete. Total metadata entries:', noteMetadata.length);
@@ -307,13 +594,19 @@ function generateRestMeasure(totalBeatsPerMeasure) {
 
 /**
  * Convert standard note notation to note index for melody generation
- * @param {string} noteStr - Note in standard notation (e.g., 'C4', 'G5', 'A3')
- * @returns {number} Note index for internal use (-3 to 10+ range)
+ * An accidental does not change the staff position, so 'Bb3' has the index of 'B3'.
+ * @param {string} noteStr - Note in standard notation (e.g., 'C4', 'G5', 'A3', 'C#2')
+ * @returns {number|null} Note index for internal use (C4 = 0), or null if the note cannot be read
  */
 function standardNoteToIndex(noteStr) {
   const noteMap = { 'C': 0, 'D': 1, 'E': 2, 'F': 3, 'G': 4, 'A': 5, 'B': 6 };
-  const noteName = noteStr.charAt(0).toUpperCase();
-  const octave = parseInt(noteStr.charAt(1));
+  const noteMatch = String(noteStr).match(/^([A-Ga-g])[#b]*(-?\d+)$/);
+  if (!noteMatch) {
+    console.warn(`Invalid note in range: ${noteStr}`);
+    return null;
+  }
+  const noteName = noteMatch[1].toUpperCase();
+  const octave = parseInt(noteMatch[2]);
 
   const baseIndex = noteMap[noteName];
   // Middle C (C4) is at index 0
@@ -325,8 +618,8 @@ function standardNoteToIndex(noteStr) {
 
 /**
  * Get note range constraints as indices for a given clef
- * @param {Object} noteRange - Note range object with treble/bass properties
- * @param {string} clef - 'treble' or 'bass'
+ * @param {Object} noteRange - Note range object with treble/bass/alto/tenor properties
+ * @param {string} clef - 'treble', 'bass', 'alto' or 'tenor'
  * @returns {Object} Object with minIndex and maxIndex, or null if no range specified
  */
 function getNoteRangeIndices(noteRange, clef) {
@@ -339,22 +632,41 @@ function getNoteRangeIndices(noteRange, clef) {
     return null;
   }
 
-  return {
-    minIndex: standardNoteToIndex(range.min),
-    maxIndex: standardNoteToIndex(range.max)
-  };
+  const minIndex = standardNoteToIndex(range.min);
+  const maxIndex = standardNoteToIndex(range.max);
+  if (minIndex === null || maxIndex === null) {
+    return null;
+  }
+
+  return { minIndex, maxIndex };
 }
 
+/**
+ * Default note range of a single-staff exercise: two octaves around the staff, so every
+ * key has room for a one-octave scale
+ */
+const CLEF_NOTE_RANGES = {
+  treble: { min: 'C4', max: 'C6' },
+  bass: { min: 'C2', max: 'C4' },
+  alto: { min: 'C3', max: 'C5' },
+  tenor: { min: 'A2', max: 'A4' }
+};
+
 export function generateRandomABC(options, exerciseId = null) {
   // Default if not provided in settings
   const {
     measures = 8,
     tempo = 120,
-    key = 'C',
+    key: selectedKey = 'C',
+    minorMode = 'natural',  // Minor keys only: 'natural', 'harmonic' or 'melodic'
     timeSignature = '4/4',
     intervals = [1, 2, 3, 4, 5],
     noteDurations = ['1/8', '1/4'],
+    syncopation = 'none',
+    tiedNotes = false,
+    restDensity = 'none',
     chordProgressions = null,
+    customProgression = '',  // Optional: Roman numerals (e.g., 'ii7 V7 Imaj7') used instead of chordProgressions
     leftHandPatterns = ['block-chords'],
     rightHandPatterns = ['single-notes'],
     rightHandIntervals = ['2nd'],
@@ -362,111 +674,384 @@ export function generateRandomABC(options, exerciseId = null) {
     leftHandBrokenChords = ['1-3-5-3'],
     swapHandPatterns = false,
     noteRange = null,  // Optional: { treble: { min: 'C4', max: 'C5' }, bass: { min: 'C3', max: 'C4' } }
-    alternatingHands = false  // If true, only one hand plays at a time (alternates by measure)
+    alternatingHands = false,  // If true, only one hand plays at a time (alternates by measure)
+    practiceMode = 'standard',  // 'chords' or 'melodic' switch to the chord or melodic practice settings below
+    chordTypes = ['major', 'minor'],
+    chordInversions = ['root'],
+    chordVoicings = ['closed'],
+    chordRhythms = ['straight'],
+    melodicPatterns = ['melodies'],
+    melodicArticulations = ['legato'],
+    chromaticNotes = false,  // If true, melodies get chromatic passing and neighbor tones
+    pickupMeasure = false,  // If true, the exercise starts with a one-beat pickup bar
+    finalCadence = false,  // If true, the exercise ends with a V-I cadence on a long tonic
+    beatGrouping = null,  // Optional: grouping of an asymmetric meter (e.g. '3+2+2' for 7/8, see AVAILABLE_BEAT_GROUPINGS)
+    meterChanges = false,  // If true, the meter changes every few bars (e.g. 4/4 -> 3/4 -> 4/4)
+    modulation = 'none',  // 'dominant' or 'relative' modulates halfway through (see AVAILABLE_MODULATIONS)
+    clefChanges = false,  // If true, a hand now and then crosses into the other clef for a high or low passage
+    staffMode = 'grand',  // 'grand' for both hands, or a single staff: 'treble', 'bass', 'alto' or 'tenor'
+    phraseStructure = 'none',  // 'two-bar' or 'four-bar' phrases the melody with motifs and cadences (see AVAILABLE_PHRASE_STRUCTURES)
+    intervalWeights = null,  // Optional: relative weight of each selected interval (e.g. { 2: 4, 3: 2, 5: 1 }), 1 if not given
+    directionWeights = null,  // Optional: relative weight of moving up and down (e.g. { up: 2, down: 1 })
+    maxConsecutiveLeaps = null,  // Optional: most leaps (a 4th or wider) in a row before the melody has to step or skip
+    leapRecovery = false,  // If true, a leap is followed by a step in the other direction
+    seed = null  // Optional: reproduce a previous exercise by passing its seed
   } = options;
 
-  // Parse time signature
-  const [beatsPerMeasure, beatUnit] = timeSignature.split('/').map(Number);
-  const totalBeatsPerMeasure = beatsPerMeasure * (8 / beatUnit); // Convert to eighth note units
-
-  // Basic ABC header - FIX: Use single backslash for proper newlines
-  let abc = `X:1\nT:\nM:${timeSignature}\nL:1/8\nQ:${tempo}\nK:${key}\n`;
-  abc += "V:1 clef=treble\nV:2 clef=bass\n";
-
-  // Convert note durations to eighth note units
-  const durationMap = {
-    '1/16': 0.5,
-    '1/8': 1,
-    '1/4': 2,
-    '1/2': 4,
-    '1': 8
-  };
+  // Route all randomness through a seeded PRNG so the exercise can be regenerated exactly
+  const exerciseSeed = normalizeSeed(seed);
+  random = createSeededRandom(exerciseSeed);
+  selectedBeatGrouping = beatGrouping;
+  generationWarnings = [];
+  melodicContour = { intervalWeights, directionWeights, maxConsecutiveLeaps, leapRecovery };
 
-  const availableDurations = noteDurations.map(duration => ({
-    duration,
-    beats: durationMap[duration],
-    abcNotation: duration === '1/8' ? '' : duration === '1/4' ? '2' : 
-                 duration === '1/2' ? '4' : duration === '1' ? '8' : '/2'
-  }));
+  try {
+    // Spell keys conventionally (e.g., Eb rather than D#)
+    const key = KEY_ENHARMONICS[selectedKey] || selectedKey;
 
-  // Generate chord progression for the piece
-  const chordProgression = generateChordProgression(measures, key, chordProgressions);
-  
-  // Get note range indices for each clef
-  const trebleRangeIndices = getNoteRangeIndices(noteRange, 'treble');
-  const bassRangeIndices = getNoteRangeIndices(noteRange, 'bass');
-
-  // Pattern configuration object for helper functions
-  const patternConfig = {
-    intervals,
-    availableDurations,
-    key,
-    rightHandIntervals,
-    rightHand4NoteChords,
-    leftHandBrokenChords,
-    noteRange
-  };
+    // Parse time signature
+    const [beatsPerMeasure, beatUnit] = timeSignature.split('/').map(Number);
+    const totalBeatsPerMeasure = beatsPerMeasure * (8 / beatUnit); // Convert to eighth note units
+
+    // A single-staff exercise is one melodic line in that staff's clef (see AVAILABLE_STAFF_MODES)
+    const isSingleStaff = staffMode !== 'grand' && staffMode in CLEF_NOTE_RANGES;
 
-  // Generate measures for both clefs
-  let trebleMeasures = [];
-  let bassMeasures = [];
-
-  for (let i = 0; i < measures; i++) {
-    const currentChord = chordProgression[i];
-
-    // Determine which patterns to use for each clef based on swap setting
-    const treblePattern = swapHandPatterns ? leftHandPatterns[0] : rightHandPatterns[0];
-    const bassPattern = swapHandPatterns ? rightHandPatterns[0] : leftHandPatterns[0];
-    const trebleSource = swapHandPatterns ? 'left' : 'right';
-    const bassSource = swapHandPatterns ? 'right' : 'left';
-
-    let trebleMeasure, bassMeasure;
-
-    // Handle alternating hands mode
-    if (alternatingHands) {
-      // Even measures (0, 2, 4...): Right hand plays, left hand rests
-      // Odd measures (1, 3, 5...): Left hand plays, right hand rests
-      if (i % 2 === 0) {
-        // Right hand (treble) plays
-        trebleMeasure = generatePatternForClef('treble', treblePattern, trebleSource, currentChord, totalBeatsPerMeasure, patternConfig, swapHandPatterns, trebleRangeIndices);
-        bassMeasure = generateRestMeasure(totalBeatsPerMeasure);
+    // Basic ABC header - FIX: Use single backslash for proper newlines
+    let abc = `X:1\nT:\nM:${timeSignature}\nL:1/8\nQ:${tempo}\nK:${key}\n`;
+    abc += isSingleStaff ? `V:1 clef=${staffMode}\n` : "V:1 clef=treble\nV:2 clef=bass\n";
+
+    // Convert note durations to eighth note units
+    const durationMap = {
+      '1/16': 0.5,
+      '3/16': 1.5,
+      '1/8': 1,
+      '3/8': 3,
+      '1/4': 2,
+      '3/4': 6,
+      '1/2': 4,
+      '1': 8
+    };
+
+    const availableDurations = noteDurations.filter(duration => duration in durationMap).map(duration => ({
+      duration,
+      beats: durationMap[duration],
+      abcNotation: formatEighthDuration(durationMap[duration])
+    }));
+
+    // Tuplets only apply to melodies, so other patterns fall back to eighth notes when only tuplets are selected
+    if (availableDurations.length === 0) {
+      availableDurations.push({ duration: '1/8', beats: 1, abcNotation: '' });
+    }
+
+    // Syncopation, ties and tuplets shape single-note melodies
+    const tuplets = noteDurations.filter(duration => duration in TUPLET_DURATIONS).map(duration => TUPLET_DURATIONS[duration]);
+    const rhythmOptions = { syncopation, tiedNotes, timeSignature, tuplets };
+
+    // Generate chord progression for the piece
+    const chordProgression = generateChordProgression(measures, key, chordProgressions, minorMode, customProgression);
+  
+    // Get note range indices for each clef; a single staff keeps the whole line in its own range
+    const staffRangeIndices = isSingleStaff
+      ? getNoteRangeIndices(noteRange, staffMode) || getNoteRangeIndices(CLEF_NOTE_RANGES, staffMode)
+      : null;
+    const trebleRangeIndices = isSingleStaff ? staffRangeIndices : getNoteRangeIndices(noteRange, 'treble');
+    const bassRangeIndices = isSingleStaff ? staffRangeIndices : getNoteRangeIndices(noteRange, 'bass');
+
+    // Pattern configuration object for helper functions
+    const patternConfig = {
+      intervals,
+      availableDurations,
+      rhythmOptions,
+      key,
+      rightHandIntervals,
+      rightHand4NoteChords,
+      leftHandBrokenChords,
+      noteRange
+    };
+
+    // Generate measures for both clefs
+    let trebleMeasures = [];
+    let bassMeasures = [];
+
+    // Scales and arpeggios are written as one continuous run rather than measure by measure
+    const melodicPattern = melodicPatterns && melodicPatterns.length > 0 ? melodicPatterns[0] : 'melodies';
+    const isRunPractice = practiceMode === 'melodic' && (melodicPattern === 'scales' || melodicPattern === 'arpeggios');
+    if (isRunPractice) {
+      ({ trebleMeasures, bassMeasures } = generateRunMeasures(melodicPattern, key, measures, totalBeatsPerMeasure, timeSignature, availableDurations, trebleRangeIndices, bassRangeIndices, minorMode));
+    }
+
+    // A pickup bar of the last beat leads into the first full bar, and the final bar gives up the same length
+    const pickupLength = pickupMeasure && !isRunPractice ? getBeatGrouping(timeSignature).beats.slice(-1)[0] : 0;
+
+    // Time signature of every measure; runs keep one meter because they are written across the bar lines
+    if (meterChanges && isRunPractice) {
+      addGenerationWarning('Scales and arpeggios keep one meter, so meter changes are skipped');
+    }
+    const measureMeters = meterChanges && !isRunPractice
+      ? planMeterChanges(timeSignature, measures)
+      : new Array(measures).fill(timeSignature);
+    const meterLength = meter => getMeterGrid(meter).barLength;
+
+    // Key of every measure; a modulation changes key halfway through, after a pivot chord
+    let modulationKey = null;
+    if (modulation !== 'none') {
+      if (isRunPractice) {
+        addGenerationWarning('Scales and arpeggios stay in one key, so the modulation is skipped');
+      } else if (measures < 4) {
+        addGenerationWarning('Modulating needs at least 4 measures');
       } else {
-        // Left hand (bass) plays
-        trebleMeasure = generateRestMeasure(totalBeatsPerMeasure);
-        bassMeasure = generatePatternForClef('bass', bassPattern, bassSource, currentChord, totalBeatsPerMeasure, patternConfig, swapHandPatterns, bassRangeIndices);
+        modulationKey = getModulationKey(key, modulation);
       }
-    } else {
-      // Normal mode: both hands play together
-      trebleMeasure = generatePatternForClef('treble', treblePattern, trebleSource, currentChord, totalBeatsPerMeasure, patternConfig, swapHandPatterns, trebleRangeIndices);
-      bassMeasure = generatePatternForClef('bass', bassPattern, bassSource, currentChord, totalBeatsPerMeasure, patternConfig, swapHandPatterns, bassRangeIndices);
+    }
+    const modulationMeasure = Math.floor(measures / 2);
+    const measureKeys = Array.from({ length: measures }, (_, i) => (modulationKey && i >= modulationMeasure ? modulationKey : key));
+    if (modulationKey) {
+      applyModulation(chordProgression, key, modulationKey, modulationMeasure, chordProgressions, minorMode, customProgression);
     }
 
-    trebleMeasures.push(trebleMeasure);
-    bassMeasures.push(bassMeasure);
-  }
+    // Clef of each staff per measure; runs already cross between the staves on their own
+    let trebleClefs = new Array(measures).fill('treble');
+    let bassClefs = new Array(measures).fill('bass');
+    if (clefChanges) {
+      if (isSingleStaff) {
+        addGenerationWarning('Clef changes need the grand staff, so they are skipped on a single staff');
+      } else if (isRunPractice) {
+        addGenerationWarning('Scales and arpeggios already cross between the staves, so clef changes are skipped');
+      } else if (measures < 3) {
+        addGenerationWarning('Clef changes need at least 3 measures');
+      } else {
+        ({ trebleClefs, bassClefs } = planClefChanges(measures));
+      }
+    }
 
-  // Build ABC with both voices interleaved - FIX: Use single backslash for proper newlines
-  for (let i = 0; i < measures; i++) {
-    if (i === measures - 1) {
-      trebleMeasures[i] = trebleMeasures[i].replace('|', '|]');
-      bassMeasures[i] = bassMeasures[i].replace('|', '|]');
+    // A single staff has room for one hand, so chord practice keeps only the right-hand chords
+    if (isSingleStaff && practiceMode === 'chords') {
+      addGenerationWarning('A single staff shows only the right-hand chords, so the left-hand pattern is left out');
     }
 
-    abc += `V:1\n${trebleMeasures[i]}\n`;
-    abc += `V:2\n${bassMeasures[i]}\n`;
-  }
+    // A final cadence harmonizes the last two measures V-I (minor keys keep the leading tone of harmonic minor)
+    const getCadenceMode = cadenceKey => (cadenceKey.includes('m') ? 'harmonic' : minorMode);
+    if (finalCadence && !isRunPractice) {
+      if (measures >= 2) {
+        const dominantKey = measureKeys[measures - 2];
+        chordProgression[measures - 2] = getRomanNumeralChord('V', dominantKey, getCadenceMode(dominantKey));
+      }
+      const tonicKey = measureKeys[measures - 1];
+      chordProgression[measures - 1] = getRomanNumeralChord('I', tonicKey, getCadenceMode(tonicKey));
+    }
+
+    // Phrases pair up as antecedent and consequent, ending on V (half cadence) or V-I (authentic cadence)
+    const phraseLength = { 'two-bar': 2, 'four-bar': 4 }[phraseStructure];
+    let phrases = null;
+    if (phraseLength) {
+      if (isRunPractice) {
+        addGenerationWarning('Scales and arpeggios are not phrased, so the phrase structure is skipped');
+      } else if (practiceMode === 'chords') {
+        addGenerationWarning('Phrases shape the melody, so they are skipped in chord practice');
+      } else if (alternatingHands) {
+        addGenerationWarning('Phrases need the melody in every measure, so they are skipped with alternating hands');
+      } else if (measures < phraseLength) {
+        addGenerationWarning(`${phraseLength}-bar phrases need at least ${phraseLength} measures`);
+      } else {
+        phrases = planPhrases(measures, phraseLength);
+      }
+    }
+    const cadenceChord = (romanNumeral, i) => getRomanNumeralChord(romanNumeral, measureKeys[i], getCadenceMode(measureKeys[i]));
+    (phrases || []).forEach(({ start, length, cadence }) => {
+      const end = start + length - 1;
+      if (cadence === 'half') {
+        chordProgression[end] = cadenceChord('V', end);
+      } else {
+        chordProgression[end - 1] = cadenceChord('V', end - 1);
+        chordProgression[end] = cadenceChord('I', end);
+      }
+    });
 
-  // Parse the complete ABC notation to create metadata for both voices
-  const noteMetadata = parseAbcForNoteMetadata(abc, timeSignature, exerciseId);
+    // Motifs and sequences are written into the single-note melody on the upper staff
+    const melodyPattern = isSingleStaff || !swapHandPatterns ? rightHandPatterns[0] : leftHandPatterns[0];
+    const melodyRangeIndices = trebleRangeIndices || { minIndex: 0, maxIndex: 10 };
+    const phraseRangeIndices = swapHandPatterns && !isSingleStaff
+      ? { minIndex: melodyRangeIndices.minIndex + 7, maxIndex: melodyRangeIndices.maxIndex + 7 }
+      : melodyRangeIndices;
+    if (phrases && melodyPattern !== 'single-notes') {
+      addGenerationWarning('Motifs and sequences need a single-note melody, so only the phrase cadences are used');
+    }
+    const phraseMotifs = [];
 
-  // Log the ABC notation to the console for debugging
-  console.log('Generated ABC:', abc);
-  console.log('Note metadata:', noteMetadata);
+    for (let i = 0; i < measures && !isRunPractice; i++) {
+      const currentChord = chordProgression[i];
+      const nextChord = i < measures - 1 ? chordProgression[i + 1] : null;
+      const isFinalMeasure = i === measures - 1;
+      const measureMeter = measureMeters[i];
+      const measureKey = measureKeys[i];
+      const measureBeats = isFinalMeasure ? meterLength(measureMeter) - pickupLength : meterLength(measureMeter);
+      const measurePatternConfig = { ...patternConfig, key: measureKey, rhythmOptions: { ...rhythmOptions, timeSignature: measureMeter } };
 
-  return {
-    abcNotation: abc,
-    noteMetadata: noteMetadata
-  };
+      // Determine which patterns to use for each clef based on swap setting
+      const treblePattern = swapHandPatterns ? leftHandPatterns[0] : rightHandPatterns[0];
+      const bassPattern = swapHandPatterns ? rightHandPatterns[0] : leftHandPatterns[0];
+      const trebleSource = swapHandPatterns ? 'left' : 'right';
+      const bassSource = swapHandPatterns ? 'right' : 'left';
+
+      let trebleMeasure, bassMeasure;
+
+      if (finalCadence && isFinalMeasure) {
+        // The cadence holds the tonic in both hands, as a chord where the hand plays chords
+        const cadencePatterns = practiceMode === 'chords' ? ['chords', leftHandPatterns[0]] : [treblePattern, bassPattern];
+        trebleMeasure = generateCadenceMeasure('treble', cadencePatterns[0], measureKey, measureBeats, measureMeter, trebleRangeIndices);
+        bassMeasure = generateCadenceMeasure('bass', cadencePatterns[1], measureKey, measureBeats, measureMeter, bassRangeIndices);
+      } else if (practiceMode === 'chords') {
+        // Chord practice: right hand voices the chord, left hand plays its pattern underneath
+        const chordConfig = { chordTypes, chordInversions, chordVoicings, chordRhythms, timeSignature: measureMeter, leftHandPattern: leftHandPatterns[0] };
+        ({ trebleMeasure, bassMeasure } = generateChordPracticeMeasure(currentChord, nextChord, measureBeats, chordConfig, measurePatternConfig, trebleRangeIndices, bassRangeIndices));
+      } else if (isSingleStaff) {
+        // A single staff reads the right hand pattern in its own range; the unused lower voice is left out
+        trebleMeasure = fitMeasureToRange(
+          generatePatternForClef('treble', rightHandPatterns[0], 'right', currentChord, measureBeats, measurePatternConfig, false, trebleRangeIndices, nextChord),
+          trebleRangeIndices
+        );
+        bassMeasure = generateRestMeasure(measureBeats);
+      } else if (alternatingHands) {
+        // Handle alternating hands mode
+        // Even measures (0, 2, 4...): Right hand plays, left hand rests
+        // Odd measures (1, 3, 5...): Left hand plays, right hand rests
+        if (i % 2 === 0) {
+          // Right hand (treble) plays
+          trebleMeasure = generatePatternForClef('treble', treblePattern, trebleSource, currentChord, measureBeats, measurePatternConfig, swapHandPatterns, trebleRangeIndices, nextChord);
+          bassMeasure = generateRestMeasure(measureBeats);
+        } else {
+          // Left hand (bass) plays
+          trebleMeasure = generateRestMeasure(measureBeats);
+          bassMeasure = generatePatternForClef('bass', bassPattern, bassSource, currentChord, measureBeats, measurePatternConfig, swapHandPatterns, bassRangeIndices, nextChord);
+        }
+      } else {
+        // Normal mode: both hands play together
+        trebleMeasure = generatePatternForClef('treble', treblePattern, trebleSource, currentChord, measureBeats, measurePatternConfig, swapHandPatterns, trebleRangeIndices, nextChord);
+        bassMeasure = generatePatternForClef('bass', bassPattern, bassSource, currentChord, measureBeats, measurePatternConfig, swapHandPatterns, bassRangeIndices, nextChord);
+      }
+
+      if (phrases && melodyPattern === 'single-notes' && !(finalCadence && isFinalMeasure)) {
+        trebleMeasure = shapePhraseMeasure(trebleMeasure, measureBeats, phrases, i, phraseMotifs, currentChord, measureKey, phraseRangeIndices);
+      }
+
+      if (practiceMode !== 'chords') {
+        // Chord tones outside the key signature (e.g., the raised 7th in harmonic minor) need accidentals in both hands
+        trebleMeasure = applyChordAccidentals(trebleMeasure, currentChord, measureKey);
+        bassMeasure = applyChordAccidentals(bassMeasure, currentChord, measureKey);
+      }
+
+      // A hand in the other clef plays an octave higher (left hand) or lower (right hand)
+      if (trebleClefs[i] === 'bass') {
+        trebleMeasure = adjustMeasureOctave(trebleMeasure, -1);
+      }
+      if (bassClefs[i] === 'treble') {
+        bassMeasure = adjustMeasureOctave(bassMeasure, 1);
+      }
+
+      trebleMeasures.push(trebleMeasure);
+      bassMeasures.push(bassMeasure);
+    }
+
+    // Chromatic tones go into single-note melodies only (not chord, run or accompaniment patterns)
+    if (chromaticNotes && practiceMode !== 'chords' && !isRunPractice) {
+      const treblePattern = swapHandPatterns ? leftHandPatterns[0] : rightHandPatterns[0];
+      const bassPattern = swapHandPatterns ? rightHandPatterns[0] : leftHandPatterns[0];
+      if (treblePattern === 'single-notes') {
+        trebleMeasures = trebleMeasures.map((measure, i) => addChromaticTones(measure, measureKeys[i], measureMeters[i]));
+      }
+      if (bassPattern === 'single-notes') {
+        bassMeasures = bassMeasures.map((measure, i) => addChromaticTones(measure, measureKeys[i], measureMeters[i]));
+      }
+    }
+
+    // Rests go into both hands' patterns (chord practice and runs keep their own rhythms)
+    if (restDensity !== 'none' && practiceMode !== 'chords' && !isRunPractice) {
+      const measureLength = i => meterLength(measureMeters[i]) - (i === measures - 1 ? pickupLength : 0);
+      trebleMeasures = trebleMeasures.map((measure, i) => addRests(measure, restDensity, measureMeters[i], measureLength(i)));
+      bassMeasures = bassMeasures.map((measure, i) => addRests(measure, restDensity, measureMeters[i], measureLength(i)));
+    }
+
+    // The pickup is a short melody over the dominant while the left hand rests
+    if (pickupLength > 0) {
+      const pickupChord = getRomanNumeralChord('V', key, getCadenceMode(key));
+      const pickupDurations = availableDurations.filter(duration => duration.beats <= pickupLength);
+      const pickupMelody = generateSimpleMelody(pickupChord, pickupLength, intervals,
+        pickupDurations.length > 0 ? pickupDurations : [{ duration: null, beats: pickupLength, abcNotation: formatEighthDuration(pickupLength) }],
+        key, trebleRangeIndices, rhythmOptions);
+      trebleMeasures.unshift(applyChordAccidentals(pickupMelody, pickupChord, key));
+      bassMeasures.unshift(generateRestMeasure(pickupLength));
+      measureMeters.unshift(timeSignature);
+      measureKeys.unshift(key);
+      trebleClefs.unshift('treble');
+      bassClefs.unshift('bass');
+    }
+
+    // Beam every measure by the meter's beat grouping (a pickup starts on the bar's last beat)
+    const beamOffset = i => (i === 0 && pickupLength > 0 ? totalBeatsPerMeasure - pickupLength : 0);
+    trebleMeasures = trebleMeasures.map((measure, i) => applyBeamGroups(measure, measureMeters[i], beamOffset(i)));
+    bassMeasures = bassMeasures.map((measure, i) => applyBeamGroups(measure, measureMeters[i], beamOffset(i)));
+
+    // Melodic practice articulates the melody, and both staves when a run crosses between them
+    if (practiceMode === 'melodic' && melodicArticulations && melodicArticulations.length > 0) {
+      const articulation = melodicArticulations[0];
+      trebleMeasures = applyArticulation(trebleMeasures, articulation, timeSignature, totalBeatsPerMeasure, pickupLength, measureMeters);
+      if (isRunPractice) {
+        bassMeasures = applyArticulation(bassMeasures, articulation, timeSignature, totalBeatsPerMeasure);
+      }
+    }
+
+    // Build ABC with both voices interleaved - FIX: Use single backslash for proper newlines
+    for (let i = 0; i < trebleMeasures.length; i++) {
+      if (i === trebleMeasures.length - 1) {
+        trebleMeasures[i] = trebleMeasures[i].replace('|', '|]');
+        bassMeasures[i] = bassMeasures[i].replace('|', '|]');
+      }
+
+      // Both voices announce a new meter or key with inline fields, and each staff its own clef changes
+      const inlineFields = [];
+      if (i > 0 && measureMeters[i] !== measureMeters[i - 1]) {
+        inlineFields.push(`[M:${measureMeters[i]}]`);
+      }
+      if (i > 0 && measureKeys[i] !== measureKeys[i - 1]) {
+        inlineFields.push(`[K:${measureKeys[i]}]`);
+      }
+      const trebleFields = i > 0 && trebleClefs[i] !== trebleClefs[i - 1] ? [...inlineFields, `[K:clef=${trebleClefs[i]}]`] : inlineFields;
+      const bassFields = i > 0 && bassClefs[i] !== bassClefs[i - 1] ? [...inlineFields, `[K:clef=${bassClefs[i]}]`] : inlineFields;
+      if (trebleFields.length > 0) {
+        trebleMeasures[i] = `${trebleFields.join(' ')} ${trebleMeasures[i]}`;
+      }
+      if (bassFields.length > 0) {
+        bassMeasures[i] = `${bassFields.join(' ')} ${bassMeasures[i]}`;
+      }
+
+      abc += `V:1\n${trebleMeasures[i]}\n`;
+      if (!isSingleStaff) {
+        abc += `V:2\n${bassMeasures[i]}\n`;
+      }
+    }
+
+    // Parse the complete ABC notation to create metadata for both voices
+    const noteMetadata = parseAbcForNoteMetadata(abc, timeSignature, exerciseId);
+
+    // Log the ABC notation to the console for debugging
+    console.log('Generated ABC:', abc);
+    console.log('Note metadata:', noteMetadata);
+
+    return {
+      abcNotation: abc,
+      noteMetadata: noteMetadata,
+      seed: exerciseSeed,
+      measureMeters: measureMeters,
+      measureKeys: measureKeys,
+      warnings: generationWarnings
+    };
+  } finally {
+    // Restore the default random source so nothing outside this call is affected
+    random = Math.random;
+    selectedBeatGrouping = null;
+    generationWarnings = [];
+    melodicContour = null;
+  }
 }
 
 /**
@@ -474,27 +1059,137 @@ export function generateRandomABC(options, exerciseId = null) {
  */
 export const AVAILABLE_KEYS = [
   // Major keys
-  'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B',
+  'C', 'C#', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B',
   // Minor keys
-  'Am', 'A#m', 'Bm', 'Cm', 'C#m', 'Dm', 'D#m', 'Em', 'Fm', 'F#m', 'Gm', 'G#m'
+  'Am', 'Bbm', 'Bm', 'Cm', 'C#m', 'Dm', 'D#m', 'Ebm', 'Em', 'Fm', 'F#m', 'Gm', 'G#m'
 ];
 
+/**
+ * Conventional spelling for keys that would need double sharps (kept for older saved settings)
+ */
+const KEY_ENHARMONICS = {
+  'D#': 'Eb',
+  'G#': 'Ab',
+  'A#': 'Bb',
+  'A#m': 'Bbm'
+};
+
 /**
  * Get available time signatures
  */
 export const AVAILABLE_TIME_SIGNATURES = [
-  '4/4', '3/4', '2/4', '5/4', '6/4', '6/8', '12/8', '3/8', '2/2', '3/2', '4/2'
+  '4/4', '3/4', '2/4', '5/4', '6/4', '6/8', '12/8', '3/8', '2/2', '3/2', '4/2',
+  '5/8', '7/8', '9/8', '11/8'
 ];
 
+/**
+ * Get available beat groupings for asymmetric meters (the first one is the default)
+ */
+export const AVAILABLE_BEAT_GROUPINGS = {
+  '5/8': [
+    { value: '3+2', label: '3+2' },
+    { value: '2+3', label: '2+3' }
+  ],
+  '7/8': [
+    { value: '2+2+3', label: '2+2+3' },
+    { value: '3+2+2', label: '3+2+2' },
+    { value: '2+3+2', label: '2+3+2' }
+  ],
+  '9/8': [
+    { value: '3+3+3', label: '3+3+3' },
+    { value: '2+2+2+3', label: '2+2+2+3' },
+    { value: '3+2+2+2', label: '3+2+2+2' }
+  ],
+  '11/8': [
+    { value: '3+3+3+2', label: '3+3+3+2' },
+    { value: '2+2+3+2+2', label: '2+2+3+2+2' },
+    { value: '3+2+3+3', label: '3+2+3+3' }
+  ]
+};
+
+/**
+ * Beat grouping of each time signature: `beats` are the beat lengths in eighth notes,
+ * `groups` how many beats share each metric stress (e.g. 6/8 is 3+3, 5/4 is 3+2)
+ */
+const METER_BEAT_GROUPINGS = {
+  '4/4': { beats: [2, 2, 2, 2], groups: [2, 2] },
+  '3/4': { beats: [2, 2, 2], groups: [3] },
+  '2/4': { beats: [2, 2], groups: [2] },
+  '5/4': { beats: [2, 2, 2, 2, 2], groups: [3, 2] },
+  '6/4': { beats: [2, 2, 2, 2, 2, 2], groups: [3, 3] },
+  '6/8': { beats: [3, 3], groups: [1, 1] },
+  '12/8': { beats: [3, 3, 3, 3], groups: [2, 2] },
+  '3/8': { beats: [3], groups: [1] },
+  '2/2': { beats: [4, 4], groups: [2] },
+  '3/2': { beats: [4, 4, 4], groups: [3] },
+  '4/2': { beats: [4, 4, 4, 4], groups: [2, 2] },
+  '5/8': { beats: [3, 2], groups: [1, 1] },
+  '7/8': { beats: [2, 2, 3], groups: [1, 1, 1] },
+  '9/8': { beats: [3, 3, 3], groups: [3] },
+  '11/8': { beats: [3, 3, 3, 2], groups: [1, 1, 1, 1] }
+};
+
+// Meters an exercise may change to from its own meter. Each keeps the beat that playback
+// counts (quarter, dotted quarter, half or eighth), so the count runs on across the change.
+const METER_CHANGE_PARTNERS = {
+  '4/4': ['3/4', '2/4'],
+  '3/4': ['4/4', '2/4'],
+  '2/4': ['3/4', '4/4'],
+  '5/4': ['4/4', '3/4'],
+  '6/8': ['9/8', '3/8'],
+  '9/8': ['6/8', '12/8'],
+  '12/8': ['9/8', '6/8'],
+  '3/8': ['6/8', '9/8'],
+  '2/2': ['3/2'],
+  '3/2': ['2/2', '4/2'],
+  '4/2': ['3/2', '2/2'],
+  '5/8': ['7/8'],
+  '7/8': ['5/8'],
+  '11/8': ['7/8', '5/8']
+};
+
 /**
  * Get available note durations
  */
 export const AVAILABLE_NOTE_DURATIONS = [
   { value: '1/16', label: '16th notes' },
   { value: '1/8', label: '8th notes' },
+  { value: '3/16', label: 'Dotted 8th notes' },
   { value: '1/4', label: 'Quarter notes' },
+  { value: '3/8', label: 'Dotted quarter notes' },
   { value: '1/2', label: 'Half notes' },
-  { value: '1', label: 'Whole notes' }
+  { value: '3/4', label: 'Dotted half notes' },
+  { value: '1', label: 'Whole notes' },
+  { value: '1/8-triplet', label: 'Triplet 8th notes' },
+  { value: '1/4-triplet', label: 'Triplet quarter notes' },
+  { value: '1/16-sextuplet', label: '16th note sextuplets' }
+];
+
+/**
+ * Tuplet note values: each group of `notes` notes, written with `noteNotation`, fills `beats` eighth notes
+ */
+const TUPLET_DURATIONS = {
+  '1/8-triplet': { prefix: '(3', notes: 3, noteNotation: '', beats: 2 },
+  '1/4-triplet': { prefix: '(3', notes: 3, noteNotation: '2', beats: 4 },
+  '1/16-sextuplet': { prefix: '(6:4', notes: 6, noteNotation: '/2', beats: 2 }
+};
+
+/**
+ * Get available syncopation levels for melodies
+ */
+export const AVAILABLE_SYNCOPATION_LEVELS = [
+  { value: 'none', label: 'No syncopation' },
+  { value: 'light', label: 'Light syncopation' },
+  { value: 'heavy', label: 'Heavy syncopation' }
+];
+
+/**
+ * Get available rest densities for the hand patterns
+ */
+export const AVAILABLE_REST_DENSITIES = [
+  { value: 'none', label: 'No rests' },
+  { value: 'light', label: 'Occasional rests' },
+  { value: 'heavy', label: 'Frequent rests' }
 ];
 
 /**
@@ -565,37 +1260,44 @@ export const AVAILABLE_LEFT_HAND_PATTERNS = [
     id: 'single-notes',
     label: 'Single Notes',
     description: 'Single note bass line',
-    supportedTimeSignatures: ['4/4', '3/4', '2/4', '6/8', '12/8', '2/2']
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
   },
   {
     id: 'block-chords',
     label: 'Block Chords',
     description: 'Whole note chords in the bass',
-    supportedTimeSignatures: ['4/4', '3/4', '2/4', '6/8', '12/8', '2/2']
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
   },
   {
     id: 'alberti-bass',
     label: 'Alberti Bass',
     description: 'Broken chord pattern (root-fifth-third-fifth)',
-    supportedTimeSignatures: ['4/4', '3/4']
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
   },
   {
     id: 'octaves',
     label: 'Octaves',
     description: 'Root note with octave higher',
-    supportedTimeSignatures: ['4/4', '3/4', '2/4', '6/8', '12/8', '2/2']
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
   },
   {
     id: 'walking-bass',
     label: 'Walking Bass',
-    description: 'Quarter note bass line walking through chord changes',
-    supportedTimeSignatures: ['4/4']
+    description: 'Bass line walking through chord changes, one note per beat',
+    // A walk needs at least two beats to approach the next chord
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES.filter(timeSignature => timeSignature !== '3/8')
   },
   {
     id: 'broken-chords',
     label: 'Broken Chords',
     description: 'Arpeggiated chord patterns with various sequences',
-    supportedTimeSignatures: ['4/4']
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
+  },
+  {
+    id: 'pedal-tone',
+    label: 'Pedal Tone',
+    description: 'Bass note held through the bar under a moving line',
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
   }
 ];
 export const AVAILABLE_MELODIC_PATTERNS = [
@@ -618,37 +1320,43 @@ export const AVAILABLE_RIGHT_HAND_PATTERNS = [
     id: 'single-notes',
     label: 'Single Notes',
     description: 'Single note melody line',
-    supportedTimeSignatures: ['4/4', '3/4', '2/4', '6/8', '12/8', '2/2']
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
   },
   {
     id: 'intervals',
     label: 'Intervals',
     description: 'Two-note intervals',
-    supportedTimeSignatures: ['4/4', '3/4', '2/4', '6/8', '12/8', '2/2']
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
   },
   {
     id: '3-note-chords',
     label: '3 Note Chords',
     description: 'Three-note chord voicings',
-    supportedTimeSignatures: ['4/4', '3/4', '2/4', '6/8', '12/8', '2/2']
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
   },
   {
     id: '4-note-chords',
     label: '4 Note Chords',
     description: 'Four-note chord voicings',
-    supportedTimeSignatures: ['4/4', '3/4', '2/4', '6/8', '12/8', '2/2']
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
   },
   {
     id: 'arpeggios',
     label: 'Arpeggios',
     description: 'Broken chord patterns',
-    supportedTimeSignatures: ['4/4', '3/4', '2/4', '6/8', '12/8', '2/2']
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
   },
   {
     id: 'octaves',
     label: 'Octaves',
     description: 'Melody notes with octave higher',
-    supportedTimeSignatures: ['4/4', '3/4', '2/4', '6/8', '12/8', '2/2']
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
+  },
+  {
+    id: 'held-note-melody',
+    label: 'Melody over Held Note',
+    description: 'Melody moving above a chord tone held through the bar',
+    supportedTimeSignatures: AVAILABLE_TIME_SIGNATURES
   }
 ];
 /**
@@ -704,15 +1412,17 @@ export const AVAILABLE_CHORD_RHYTHMS = [
 const MAJOR_SCALE_DEGREES = {
   'C': ['C', 'D', 'E', 'F', 'G', 'A', 'B'],
   'C#': ['C#', 'D#', 'E#', 'F#', 'G#', 'A#', 'B#'],
+  'Db': ['Db', 'Eb', 'F', 'Gb', 'Ab', 'Bb', 'C'],
   'D': ['D', 'E', 'F#', 'G', 'A', 'B', 'C#'],
-  'D#': ['D#', 'E#', 'F##', 'G#', 'A#', 'B#', 'C##'],
+  'Eb': ['Eb', 'F', 'G', 'Ab', 'Bb', 'C', 'D'],
   'E': ['E', 'F#', 'G#', 'A', 'B', 'C#', 'D#'],
   'F': ['F', 'G', 'A', 'Bb', 'C', 'D', 'E'],
   'F#': ['F#', 'G#', 'A#', 'B', 'C#', 'D#', 'E#'],
+  'Gb': ['Gb', 'Ab', 'Bb', 'Cb', 'Db', 'Eb', 'F'],
   'G': ['G', 'A', 'B', 'C', 'D', 'E', 'F#'],
-  'G#': ['G#', 'A#', 'B#', 'C#', 'D#', 'E#', 'F##'],
+  'Ab': ['Ab', 'Bb', 'C', 'Db', 'Eb', 'F', 'G'],
   'A': ['A', 'B', 'C#', 'D', 'E', 'F#', 'G#'],
-  'A#': ['A#', 'B#', 'C##', 'D#', 'E#', 'F##', 'G##'],
+  'Bb': ['Bb', 'C', 'D', 'Eb', 'F', 'G', 'A'],
   'B': ['B', 'C#', 'D#', 'E', 'F#', 'G#', 'A#']
 };
 
@@ -721,12 +1431,13 @@ const MAJOR_SCALE_DEGREES = {
  */
 const MINOR_SCALE_DEGREES = {
   'Am': ['A', 'B', 'C', 'D', 'E', 'F', 'G'],
-  'A#m': ['A#', 'B#', 'C#', 'D#', 'E#', 'F#', 'G#'],
+  'Bbm': ['Bb', 'C', 'Db', 'Eb', 'F', 'Gb', 'Ab'],
   'Bm': ['B', 'C#', 'D', 'E', 'F#', 'G', 'A'],
   'Cm': ['C', 'D', 'Eb', 'F', 'G', 'Ab', 'Bb'],
   'C#m': ['C#', 'D#', 'E', 'F#', 'G#', 'A', 'B'],
   'Dm': ['D', 'E', 'F', 'G', 'A', 'Bb', 'C'],
   'D#m': ['D#', 'E#', 'F#', 'G#', 'A#', 'B', 'C#'],
+  'Ebm': ['Eb', 'F', 'Gb', 'Ab', 'Bb', 'Cb', 'Db'],
   'Em': ['E', 'F#', 'G', 'A', 'B', 'C', 'D'],
   'Fm': ['F', 'G', 'Ab', 'Bb', 'C', 'Db', 'Eb'],
   'F#m': ['F#', 'G#', 'A', 'B', 'C#', 'D', 'E'],
@@ -734,15 +1445,94 @@ const MINOR_SCALE_DEGREES = {
   'G#m': ['G#', 'A#', 'B', 'C#', 'D#', 'E', 'F#']
 };
 
+/**
+ * Scale degrees (0-based) raised a half step from natural minor in each minor mode
+ */
+const MINOR_MODE_RAISED_DEGREES = {
+  'natural': [],
+  'harmonic': [6],
+  'melodic': [5, 6]
+};
+
+/**
+ * Get available minor modes
+ */
+export const AVAILABLE_MINOR_MODES = [
+  { id: 'natural', label: 'Natural Minor' },
+  { id: 'harmonic', label: 'Harmonic Minor' },
+  { id: 'melodic', label: 'Melodic Minor' }
+];
+
+/**
+ * Get available modulations
+ */
+export const AVAILABLE_MODULATIONS = [
+  { id: 'none', label: 'No Modulation' },
+  { id: 'dominant', label: 'To the Dominant' },
+  { id: 'relative', label: 'To the Relative Key' }
+];
+
+/**
+ * Get available limits on leaps in a row (null for no limit)
+ */
+export const AVAILABLE_LEAP_LIMITS = [
+  { value: null, label: 'No Limit' },
+  { value: 0, label: 'No Leaps' },
+  { value: 1, label: '1 in a Row' },
+  { value: 2, label: '2 in a Row' }
+];
+
+/**
+ * Get available phrase structures
+ */
+export const AVAILABLE_PHRASE_STRUCTURES = [
+  { id: 'none', label: 'Free Melody', description: 'Each measure is written on its own' },
+  { id: 'two-bar', label: 'Two-Bar Phrases', description: 'A motif and its sequence, ending on a half or full cadence' },
+  { id: 'four-bar', label: 'Four-Bar Phrases', description: 'Motif, sequence, continuation and cadence' }
+];
+
+/**
+ * Get available staff modes
+ */
+export const AVAILABLE_STAFF_MODES = [
+  { id: 'grand', label: 'Grand Staff' },
+  { id: 'treble', label: 'Treble Clef Only' },
+  { id: 'bass', label: 'Bass Clef Only' },
+  { id: 'alto', label: 'Alto Clef' },
+  { id: 'tenor', label: 'Tenor Clef' }
+];
+
+/**
+ * Get the spelled scale of a minor key in the given minor mode
+ * @param {string} key - Minor key (e.g., 'Am')
+ * @param {string} minorMode - 'natural', 'harmonic' or 'melodic' (ascending form)
+ * @returns {string[]|undefined} Scale degree note names (e.g., ['A', 'B', 'C', 'D', 'E', 'F', 'G#'])
+ */
+function getMinorScaleDegrees(key, minorMode = 'natural') {
+  const scaleDegrees = MINOR_SCALE_DEGREES[key];
+  const raisedDegrees = MINOR_MODE_RAISED_DEGREES[minorMode] || [];
+  if (!scaleDegrees) return scaleDegrees;
+
+  // Raising cancels a flat (Bb -> B) or adds a sharp (G -> G#)
+  return scaleDegrees.map((note, degree) => {
+    if (!raisedDegrees.includes(degree)) return note;
+    return note.endsWith('b') && note.length > 1 ? note.slice(0, -1) : note + '#';
+  });
+}
+
 /**
  * Convert Roman numeral chord to chord notes
+ * Chords are stacked in thirds on the scale, so their qualities follow the mode:
+ * natural minor gives i, ii°, III, iv, v, VI, VII; harmonic minor gives i, ii°, III+, iv, V, VI, vii°;
+ * melodic minor gives i, ii, III+, IV, V, vi°, vii°.
  * @param {string} romanNumeral - Roman numeral chord (e.g., 'I', 'vi', 'V')
  * @param {string} key - Musical key
+ * @param {string} minorMode - Minor mode for minor keys ('natural', 'harmonic', 'melodic')
  * @returns {string[]} Array of chord notes
  */
-function getRomanNumeralChord(romanNumeral, key) {
+function getRomanNumeralChord(romanNumeral, key, minorMode = 'natural') {
   const isMinorKey = key.includes('m');
-  const scaleDegrees = isMinorKey ? MINOR_SCALE_DEGREES[key] : MAJOR_SCALE_DEGREES[key];
+  const scaleDegrees = isMinorKey ? getMinorScaleDegrees(key, minorMode) : MAJOR_SCALE_DEGREES[key];
   
   if (!scaleDegrees) {
     console.warn(`Unknown key: ${key}`);
@@ -768,56 +1558,298 @@ function getRomanNumeralChord(romanNumeral, key) {
   const third = scaleDegrees[(rootIndex + 2) % 7];
   const fifth = scaleDegrees[(rootIndex + 4) % 7];
 
-  // For minor keys, adjust chord qualities
-  if (isMinorKey) {
-    // Natural minor chord qualities: i, ii°, III, iv, v, VI, VII
-    const minorChordQualities = ['minor', 'diminished', 'major', 'minor', 'minor', 'major', 'major'];
-    const quality = minorChordQualities[rootIndex];
-    
-    if (quality === 'diminished') {
-      // For diminished chords, flatten the fifth
-      const flatFifth = scaleDegrees[(rootIndex + 4) % 7]; // This is simplified
-      return [root, third, flatFifth];
-    }
-  } else {
-    // Major key chord qualities: I, ii, iii, IV, V, vi, vii°
-    const majorChordQualities = ['major', 'minor', 'minor', 'major', 'major', 'minor', 'diminished'];
-    const quality = majorChordQualities[rootIndex];
-    
-    if (quality === 'diminished') {
-      return [root, third, fifth]; // Simplified for now
-    }
-  }
-
   return [root, third, fifth];
 }
 
 /**
- * Generate a chord progression based on user selection
- * @param {number} numMeasures - Number of measures
+ * Chord types for the quality written after a Roman numeral, as [uppercase, lowercase] numeral
+ * A null entry means the quality cannot be written with that case (e.g., 'V°').
+ */
+const ROMAN_NUMERAL_QUALITIES = {
+  '': ['major', 'minor'],
+  '+': ['augmented', null],
+  'aug': ['augmented', null],
+  '°': [null, 'diminished'],
+  'o': [null, 'diminished'],
+  'dim': [null, 'diminished'],
+  '7': ['7th', 'minor7th'],
+  'maj7': ['major7th', null],
+  'M7': ['major7th', null],
+  'Δ7': ['major7th', null],
+  '°7': [null, 'diminished7th'],
+  'o7': [null, 'diminished7th'],
+  'dim7': [null, 'diminished7th'],
+  'ø7': [null, 'halfDiminished7th'],
+  'ø': [null, 'halfDiminished7th'],
+  'm7b5': [null, 'halfDiminished7th']
+};
+
+/**
+ * Parse one Roman numeral chord symbol into spelled chord notes
+ * Supports accidentals for borrowed chords (bVII, bVI), qualities (V7, ii7, Imaj7, vii°7, viiø7)
+ * and secondary chords (V/V, vii°/ii, V7/IV), where the part after the slash is tonicized
+ * as a major key. Accidentals are measured from the major scale, so bVI is the same chord in
+ * C major and C minor. In minor keys, diminished chords on vii use the raised leading tone.
+ * @param {string} symbol - Roman numeral chord symbol (e.g., 'V7/V')
  * @param {string} key - Musical key
- * @param {string[]} selectedProgressions - Array of selected progression IDs
- * @returns {string[][]} Array of chord progressions, each containing note arrays
+ * @returns {Object} { chord: string[] } on success or { error: string }
  */
-function generateChordProgression(numMeasures, key, selectedProgressions = null) {
-  // If no progressions selected, use all available progressions
-  const availableProgressions = selectedProgressions && selectedProgressions.length > 0
-    ? CHORD_PROGRESSIONS.filter(prog => selectedProgressions.includes(prog.id))
-    : CHORD_PROGRESSIONS;
-  
-  const selectedProgression = availableProgressions[Math.floor(Math.random() * availableProgressions.length)];
-  const progression = selectedProgression.progression;
-  const chords = [];
-  
+function parseRomanNumeralChord(symbol, key) {
+  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const naturalSemitones = [0, 2, 4, 5, 7, 9, 11];
+  const majorScaleSemitones = [0, 2, 4, 5, 7, 9, 11];
+  const minorScaleSemitones = [0, 2, 3, 5, 7, 8, 10];
+  const degreeNumerals = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+  const isMinorKey = key.includes('m');
+  const scaleDegrees = (isMinorKey ? MINOR_SCALE_DEGREES[key] : MAJOR_SCALE_DEGREES[key]) || MAJOR_SCALE_DEGREES['C'];
+  const tonic = scaleDegrees[0];
+  const tonicLetterIndex = notes.indexOf(tonic.charAt(0));
+  let tonicRoot = {
+    letterIndex: tonicLetterIndex,
+    pitch: naturalSemitones[tonicLetterIndex] + (tonic.match(/#/g) || []).length - (tonic.slice(1).match(/b/g) || []).length
+  };
+  let scaleSemitones = isMinorKey ? minorScaleSemitones : majorScaleSemitones;
+
+  // Resolve from the right: in V/V the second V is tonicized, then the first is built on it
+  const parts = symbol.split('/');
+  for (let i = parts.length - 1; i >= 0; i--) {
+    const match = parts[i].match(/^([b#♭♯]?)(VII|VI|IV|V|III|II|I|vii|vi|iv|v|iii|ii|i)(.*)$/);
+    if (!match) {
+      return { error: `"${symbol}" is not a Roman numeral chord` };
+    }
+
+    const [, accidental, numeral, suffix] = match;
+    const isUpperCase = numeral === numeral.toUpperCase();
+    const degree = degreeNumerals.indexOf(numeral.toUpperCase());
+    const offset = accidental === 'b' || accidental === '♭' ? -1 : accidental ? 1 : 0;
+    const letterIndex = (tonicRoot.letterIndex + degree) % 7;
+    let pitch = tonicRoot.pitch + (offset ? majorScaleSemitones : scaleSemitones)[degree] + offset;
+
+    if (i > 0) {
+      if (suffix) {
+        return { error: `"${symbol}": the chord after the slash takes no quality ("${suffix}")` };
+      }
+      tonicRoot = { letterIndex, pitch };
+      scaleSemitones = majorScaleSemitones;
+      continue;
+    }
+
+    const qualities = ROMAN_NUMERAL_QUALITIES[suffix];
+    if (!qualities) {
+      return { error: `"${symbol}": unknown chord quality "${suffix}"` };
+    }
+    const chordType = qualities[isUpperCase ? 0 : 1];
+    if (!chordType) {
+      return { error: `"${symbol}": "${suffix}" needs ${isUpperCase ? 'a lowercase' : 'an uppercase'} numeral` };
+    }
+
+    if (scaleSemitones === minorScaleSemitones && degree === 6 && !accidental && chordType.toLowerCase().includes('diminished')) {
+      pitch += 1;
+    }
+
+    const alteration = ((pitch - naturalSemitones[letterIndex]) % 12 + 18) % 12 - 6;
+    if (Math.abs(alteration) > 2) {
+      return { error: `"${symbol}" cannot be spelled in ${key}` };
+    }
+    const rootNote = notes[letterIndex] + (alteration > 0 ? '#'.repeat(alteration) : 'b'.repeat(-alteration));
+    return { chord: buildChordTones(rootNote, chordType) };
+  }
+
+  return { error: `"${symbol}" is not a Roman numeral chord` };
+}
+
+/**
+ * Parse a typed chord progression such as 'ii7 V7 Imaj7 vi7' or 'I IV/IV V/V V'
+ * Chords may be separated by spaces, commas, hyphens or bar lines.
+ * @param {string} progressionText - Roman numeral chord symbols
+ * @param {string} key - Musical key the numerals refer to
+ * @returns {Object} { chords: string[][], errors: string[] } - chords are empty when there are errors
+ */
+export function parseChordProgression(progressionText, key) {
+  const symbols = (progressionText || '').split(/[\s,|-]+/).filter(Boolean);
+  const chords = [];
+  const errors = [];
+
+  symbols.forEach(symbol => {
+    const result = parseRomanNumeralChord(symbol, key);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      chords.push(result.chord);
+    }
+  });
+
+  return { chords: errors.length > 0 ? [] : chords, errors };
+}
+
+/**
+ * Generate a chord progression based on user selection
+ * A valid custom progression replaces the preset progressions and repeats to fill the measures.
+ * An invalid one falls back to the presets with a visible warning.
+ * @param {number} numMeasures - Number of measures
+ * @param {string} key - Musical key
+ * @param {string[]} selectedProgressions - Array of selected progression IDs
+ * @param {string} minorMode - Minor mode for minor keys ('natural', 'harmonic', 'melodic')
+ * @param {string} customProgression - Optional Roman numeral progression typed by the user
+ * @returns {string[][]} Array of chord progressions, each containing note arrays
+ */
+function generateChordProgression(numMeasures, key, selectedProgressions = null, minorMode = 'natural', customProgression = '') {
+  if (customProgression && customProgression.trim()) {
+    const { chords: customChords, errors } = parseChordProgression(customProgression, key);
+    if (errors.length === 0 && customChords.length > 0) {
+      return Array.from({ length: numMeasures }, (_, i) => customChords[i % customChords.length]);
+    }
+    addGenerationWarning(`Invalid custom progression, using presets instead: ${errors.join('; ')}`);
+  }
+
+  // If no progressions selected, use all available progressions
+  const availableProgressions = selectedProgressions && selectedProgressions.length > 0
+    ? CHORD_PROGRESSIONS.filter(prog => selectedProgressions.includes(prog.id))
+    : CHORD_PROGRESSIONS;
+  
+  const selectedProgression = availableProgressions[Math.floor(random() * availableProgressions.length)];
+  const progression = selectedProgression.progression;
+  const chords = [];
+  
   for (let i = 0; i < numMeasures; i++) {
     const romanNumeral = progression[i % progression.length];
-    const chordNotes = getRomanNumeralChord(romanNumeral, key);
+    const chordNotes = getRomanNumeralChord(romanNumeral, key, minorMode);
     chords.push(chordNotes);
   }
   
   return chords;
 }
 
+/**
+ * Get the key an exercise modulates to
+ * @param {string} key - Home key (e.g., 'C', 'Am')
+ * @param {string} modulation - 'dominant' (a fifth up, same mode) or 'relative' (relative minor or major)
+ * @returns {string|null} Target key (e.g., 'G' or 'Am' from C), or null for an unknown key or modulation
+ */
+function getModulationKey(key, modulation) {
+  const isMinorKey = key.includes('m');
+  const scaleDegrees = isMinorKey ? MINOR_SCALE_DEGREES[key] : MAJOR_SCALE_DEGREES[key];
+  if (!scaleDegrees) return null;
+
+  let targetKey = null;
+  if (modulation === 'dominant') {
+    targetKey = scaleDegrees[4] + (isMinorKey ? 'm' : '');
+  } else if (modulation === 'relative') {
+    targetKey = isMinorKey ? scaleDegrees[2] : `${scaleDegrees[5]}m`;
+  }
+  return targetKey && (KEY_ENHARMONICS[targetKey] || targetKey);
+}
+
+/**
+ * Rewrite a chord progression so it modulates at the given measure
+ * The measure before the change plays a pivot chord found in both keys (e.g., Am as vi of C and ii of G),
+ * then the new key is confirmed with V-I and continues with a progression of its own.
+ * Keys that are only reached enharmonically (C# to Ab) share no spelled chord and change directly.
+ * @param {string[][]} chordProgression - Chord notes per measure in the home key (modified in place)
+ * @param {string} key - Home key
+ * @param {string} targetKey - Key to modulate to
+ * @param {number} modulationMeasure - First measure in the new key (at least 1)
+ * @param {string[]} selectedProgressions - Array of selected progression IDs
+ * @param {string} minorMode - Minor mode for minor keys ('natural', 'harmonic', 'melodic')
+ * @param {string} customProgression - Optional Roman numeral progression typed by the user
+ */
+function applyModulation(chordProgression, key, targetKey, modulationMeasure, selectedProgressions, minorMode, customProgression) {
+  const homeScale = key.includes('m') ? MINOR_SCALE_DEGREES[key] : MAJOR_SCALE_DEGREES[key];
+  const isMinorTarget = targetKey.includes('m');
+
+  // Predominant chords of the new key lead best into its dominant
+  const pivotNumerals = isMinorTarget ? ['iv', 'VI'] : ['ii', 'IV', 'vi'];
+  const pivotChord = pivotNumerals
+    .map(numeral => getRomanNumeralChord(numeral, targetKey))
+    .find(chord => chord.every(note => homeScale.includes(note)));
+  if (pivotChord) {
+    chordProgression[modulationMeasure - 1] = pivotChord;
+  }
+
+  chordProgression[modulationMeasure] = getRomanNumeralChord('V', targetKey, isMinorTarget ? 'harmonic' : minorMode);
+  const remainingMeasures = chordProgression.length - modulationMeasure - 1;
+  if (remainingMeasures > 0) {
+    const newKeyProgression = generateChordProgression(remainingMeasures, targetKey, selectedProgressions, minorMode, customProgression);
+    newKeyProgression[0] = getRomanNumeralChord('I', targetKey, minorMode);
+    chordProgression.splice(modulationMeasure + 1, remainingMeasures, ...newKeyProgression);
+  }
+}
+
+// A leap is a move of a 4th or wider (3 scale steps); 2nds are steps and 3rds are skips
+const LEAP_STEPS = 3;
+
+/**
+ * Check whether the contour settings only allow a step or skip for the next note
+ * @param {Object} contourState - { consecutiveLeaps, lastMove } of the melody so far
+ * @returns {boolean} True after a leap that needs recovering, or once the leaps in a row reach the limit
+ */
+function isStepRequired(contourState) {
+  if (!melodicContour || contourState.lastMove === null) return false;
+  const { maxConsecutiveLeaps, leapRecovery } = melodicContour;
+  return (leapRecovery && Math.abs(contourState.lastMove) >= LEAP_STEPS) ||
+    (maxConsecutiveLeaps !== null && maxConsecutiveLeaps !== undefined && contourState.consecutiveLeaps >= maxConsecutiveLeaps);
+}
+
+/**
+ * Choose the next move of a melody from the selected intervals and the contour settings
+ * Intervals and directions are picked by their weights (equal when not set). After a leap,
+ * leap recovery steps back the other way, and once the leaps in a row reach the limit only
+ * steps and skips are picked.
+ * @param {number[]} intervals - Selected intervals (1 = unison, 2 = 2nd, ...)
+ * @param {Object} contourState - { consecutiveLeaps, lastMove } of the melody so far
+ * @returns {number} Move in scale steps (positive moves up)
+ */
+function chooseMelodicMove(intervals, contourState) {
+  const { intervalWeights, directionWeights, leapRecovery } = melodicContour || {};
+  const { lastMove } = contourState;
+
+  if (leapRecovery && lastMove !== null && Math.abs(lastMove) >= LEAP_STEPS) {
+    return -Math.sign(lastMove);
+  }
+
+  // Otherwise a step is only required once the leaps in a row reach the limit
+  const allowedIntervals = isStepRequired(contourState) ? intervals.filter(interval => interval - 1 < LEAP_STEPS) : [...intervals];
+  if (allowedIntervals.length === 0) {
+    allowedIntervals.push(2);
+  }
+
+  const steps = chooseWeighted(allowedIntervals, interval => getWeight(intervalWeights, interval)) - 1;
+  const downWeight = getWeight(directionWeights, 'down');
+  const totalDirectionWeight = downWeight + getWeight(directionWeights, 'up');
+  return random() < (totalDirectionWeight > 0 ? downWeight / totalDirectionWeight : 0.5) ? -steps : steps;
+}
+
+/**
+ * Read a weight from an optional weights object
+ * @param {Object|null} weights - Weights by name (e.g., { 2: 4, 3: 1 } or { up: 2, down: 1 })
+ * @param {string|number} name - Weight to read
+ * @returns {number} The weight (at least 0), or 1 when it is not given
+ */
+function getWeight(weights, name) {
+  if (!weights || weights[name] === undefined || weights[name] === null) return 1;
+  return Math.max(0, Number(weights[name]) || 0);
+}
+
+/**
+ * Pick an item at random in proportion to its weight
+ * With every weight 1 the pick is the same as a uniform random pick, so existing seeds are unaffected.
+ * @param {Array} items - Items to pick from
+ * @param {Function} weightOf - Returns the weight of an item
+ * @returns {*} The picked item (a uniform pick when all weights are 0)
+ */
+function chooseWeighted(items, weightOf) {
+  const weights = items.map(weightOf);
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+  if (totalWeight <= 0) {
+    return items[Math.floor(random() * items.length)];
+  }
+
+  let pick = random() * totalWeight;
+  const index = weights.findIndex(weight => (pick -= weight) < 0);
+  return items[index === -1 ? items.length - 1 : index];
+}
+
 /**
  * Generate right hand pattern measure
  * @param {string} pattern - Pattern type ('octaves', 'intervals', etc.)
@@ -838,15 +1870,24 @@ function generateChordProgression(numMeasures, key, selectedProgressions = null)
  * @param {Array} availableDurations - Available durations
  * @param {string} key - Musical key
  * @param {Object} rangeIndices - Optional range constraints { minIndex, maxIndex }
+ * @param {Object} rhythmOptions - Optional { syncopation, tiedNotes, timeSignature, tuplets }; syncopation
+ *   starts a note half a beat early so it sounds across the beat, tied notes split values at beats,
+ *   and tuplet groups (see TUPLET_DURATIONS) start on a multiple of their own length in simple meters
  * @returns {string} Generated ABC measure
  */
-function generateSimpleMelody(currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rangeIndices = null) {
-  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
-  let lastNoteIndex = 0;
-  let octaveLower = false;
+function generateSimpleMelody(currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rangeIndices = null, rhythmOptions = null) {
   let measure = '';
   let beatsUsed = 0;
 
+  // Beat grid for syncopation and ties
+  const { syncopation = 'none', tiedNotes = false, timeSignature = null, tuplets = [] } = rhythmOptions || {};
+  const syncopationChance = { 'light': 0.25, 'heavy': 0.5 }[syncopation] || 0;
+  const meterGrid = timeSignature ? getMeterGrid(timeSignature) : null;
+  const beatLength = meterGrid ? meterGrid.beatLength : 2;
+  let syncopatedDurations = [];
+  let tupletNotesLeft = 0;
+  let tupletNoteNotation = '';
+
   // Get harmonic note indices if chord is provided
   const harmonicIndices = currentChord ? getHarmonicNoteIndices(currentChord, key) : null;
 
@@ -854,18 +1895,25 @@ function generateSimpleMelody(currentChord, totalBeatsPerMeasure, intervals, ava
   const minBound = rangeIndices ? rangeIndices.minIndex : 0;
   const maxBound = rangeIndices ? rangeIndices.maxIndex : 10;
 
-  // Fill measure with random notes
-  while (beatsUsed < totalBeatsPerMeasure) {
+  // Start from middle C, or from the nearest end of a range that leaves it out
+  let lastNoteIndex = Math.min(maxBound, Math.max(minBound, 0));
+
+  // Leaps in a row and the last move, for the contour limits
+  const contourState = { consecutiveLeaps: 0, lastMove: null };
+  let outOfRangeTries = 0;
+
+  // Fill measure with random notes, finishing any tuplet that was started
+  while (beatsUsed < totalBeatsPerMeasure || tupletNotesLeft > 0) {
     let candidateIndex;
     let interval = 0;
 
     // 10% chance to use harmonic note, 90% chance to use interval-based movement
-    if (harmonicIndices && Math.random() < 0.1) {
-      const harmonicIndex = harmonicIndices[Math.floor(Math.random() * harmonicIndices.length)];
+    // (a chord tone can be any distance away, so not where the contour asks for a step)
+    if (harmonicIndices && !isStepRequired(contourState) && random() < 0.1) {
+      const harmonicIndex = harmonicIndices[Math.floor(random() * harmonicIndices.length)];
       candidateIndex = harmonicIndex;
     } else {
-      interval = intervals[Math.floor(Math.random() * intervals.length)] - 1;
-      interval = Math.random() < 0.5 ? -interval : interval;
+      interval = chooseMelodicMove(intervals, contourState);
       candidateIndex = lastNoteIndex + interval;
     }
 
@@ -875,42 +1923,78 @@ function generateSimpleMelody(currentChord, totalBeatsPerMeasure, intervals, ava
     }
     if (candidateIndex < minBound) {
       // candidateIndex = lastNoteIndex + Math.abs(interval || 1);
-      continue;   // If note is out of range, generate a new note
+      // If note is out of range, generate a new note (turning back up when weights keep leading down)
+      if (++outOfRangeTries < 20) continue;
+      candidateIndex = lastNoteIndex + Math.abs(interval || 1);
     }
+    candidateIndex = Math.min(maxBound, Math.max(minBound, candidateIndex));
+    outOfRangeTries = 0;
+    const move = measure ? candidateIndex - lastNoteIndex : 0;  // The first note has no move before it
+    contourState.consecutiveLeaps = Math.abs(move) >= LEAP_STEPS ? contourState.consecutiveLeaps + 1 : 0;
+    contourState.lastMove = move;
     lastNoteIndex = candidateIndex;
+    const nextNote = convertNoteIndexToABC(lastNoteIndex, 0, null);
 
-    // Determine octave placement
-    let nextNoteIndex = lastNoteIndex;
-    if (nextNoteIndex < 0) {
-      octaveLower = true;
-    }
-
-    // Set next note (use modulo to wrap around the notes array)
-    let nextNote = notes[((lastNoteIndex % 7) + 7) % 7];
-    
-    // Apply octave modifications
-    if (octaveLower) {
-      let numOctavesLower = Math.abs(Math.floor(nextNoteIndex / 7));
-      nextNote = nextNote + ",".repeat(numOctavesLower);
-      octaveLower = false;
-    } else if (nextNoteIndex >= 7) {
-      nextNote = nextNote.toLowerCase();
+    // The rest of a tuplet group takes the group's written value (its length was counted at the start)
+    if (tupletNotesLeft > 0) {
+      measure += nextNote + tupletNoteNotation;
+      tupletNotesLeft--;
+      if (tupletNotesLeft === 0 && beatsUsed < totalBeatsPerMeasure) {
+        measure += ' ';
+      }
+      continue;
     }
 
     // Select random duration that fits in remaining beats
     const remainingBeats = totalBeatsPerMeasure - beatsUsed;
-    const validDurations = availableDurations.filter(d => d.beats <= remainingBeats);
+    const validDurations = getPlaceableDurations(availableDurations, beatsUsed, remainingBeats, meterGrid);
+
+    // Syncopation: a short note on the beat, then a full beat starting off the beat
+    if (syncopatedDurations.length === 0 && syncopationChance > 0 && meterGrid && meterGrid.beatStarts.includes(beatsUsed) &&
+        remainingBeats >= 2 * beatLength && random() < syncopationChance) {
+      const offset = beatLength >= 2 ? 1 : 0.5;
+      syncopatedDurations = [offset, beatLength];
+    }
+
+    // Tuplets are picked alongside the other values, only where the whole group lines up with the beat
+    const validTuplets = syncopatedDurations.length > 0 || beatLength % 2 !== 0 ? [] : tuplets.filter(tuplet =>
+      tuplet.beats <= remainingBeats && beatsUsed % tuplet.beats === 0);
+    if (validTuplets.length > 0 && random() < validTuplets.length / (validTuplets.length + validDurations.length)) {
+      const tuplet = validTuplets[Math.floor(random() * validTuplets.length)];
+      if (measure && !measure.endsWith(' ')) {
+        measure += ' ';
+      }
+      measure += tuplet.prefix + nextNote + tuplet.noteNotation;
+      tupletNotesLeft = tuplet.notes - 1;
+      tupletNoteNotation = tuplet.noteNotation;
+      beatsUsed += tuplet.beats;
+      continue;
+    }
+    if (syncopatedDurations.length > 0 || (tiedNotes && validDurations.length > 0)) {
+      const beats = syncopatedDurations.length > 0
+        ? syncopatedDurations.shift()
+        : validDurations[Math.floor(random() * validDurations.length)].beats;
+
+      // Tied notes show the beat by splitting values that cross it
+      const pieces = tiedNotes && meterGrid ? splitRhythmAtBeats(beatsUsed, beats, meterGrid) : [beats];
+      measure += pieces.map(piece => nextNote + formatEighthDuration(piece)).join('-');
+      beatsUsed += beats;
+
+      if (beats !== 1 && beatsUsed < totalBeatsPerMeasure) {
+        measure += ' ';
+      }
+      continue;
+    }
     
     if (validDurations.length === 0) {
-      const shortestDuration = availableDurations.reduce((shortest, current) => 
-        current.beats < shortest.beats ? current : shortest
-      );
-      measure += nextNote + shortestDuration.abcNotation;
-      beatsUsed += shortestDuration.beats;
+      if (measure && !measure.endsWith(' ')) {
+        measure += ' ';
+      }
+      measure += restForRemainingBeats(beatsUsed, remainingBeats, meterGrid);
       break;
     }
 
-    const selectedDuration = validDurations[Math.floor(Math.random() * validDurations.length)];
+    const selectedDuration = validDurations[Math.floor(random() * validDurations.length)];
     
     // Add note with duration to measure
     measure += nextNote + selectedDuration.abcNotation;
@@ -925,24 +2009,157 @@ function generateSimpleMelody(currentChord, totalBeatsPerMeasure, intervals, ava
   return measure + '|';
 }
 
-function generateRightHandPattern(pattern, currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rightHandIntervals, rightHand4NoteChords, rangeIndices = null) {
+/**
+ * Shape one measure of a phrased melody (see planPhrases)
+ * A phrase opens with a motif, which a consequent borrows from its antecedent. The next
+ * measure repeats the motif as a sequence moved to the new chord, a four-bar phrase continues
+ * freely in its third measure, and the last measure ends on the phrase's cadence note.
+ * @param {string} measure - Freely generated single-note melody measure, used where the motif does not fit
+ * @param {number} measureBeats - Length of the measure in eighth notes
+ * @param {Object[]} phrases - Phrase plan from planPhrases
+ * @param {number} measureIndex - Index of the measure in the exercise
+ * @param {Object[]} motifs - Opening motif of each phrase so far { measure, chord, beats } (filled in here)
+ * @param {Array} currentChord - Current chord notes
+ * @param {string} key - Key of the measure
+ * @param {Object} rangeIndices - Range of the melody { minIndex, maxIndex }
+ * @returns {string} ABC measure
+ */
+function shapePhraseMeasure(measure, measureBeats, phrases, measureIndex, motifs, currentChord, key, rangeIndices) {
+  const phraseIndex = phrases.findIndex(phrase => measureIndex < phrase.start + phrase.length);
+  const phrase = phrases[phraseIndex];
+  const position = measureIndex - phrase.start;
+  const fitsMeasure = motif => motif && motif.beats === measureBeats;
+
+  let shaped = measure;
+  if (position === 0) {
+    const isConsequent = phrase.cadence === 'authentic' && phraseIndex > 0 && phrases[phraseIndex - 1].cadence === 'half';
+    const antecedentMotif = isConsequent ? motifs[phraseIndex - 1] : null;
+    if (fitsMeasure(antecedentMotif)) {
+      shaped = moveMotifToChord(antecedentMotif, currentChord, rangeIndices) || measure;
+    }
+    motifs[phraseIndex] = { measure: shaped, chord: currentChord, beats: measureBeats };
+  } else if (position === 1 && fitsMeasure(motifs[phraseIndex])) {
+    shaped = moveMotifToChord(motifs[phraseIndex], currentChord, rangeIndices) || measure;
+  }
+
+  return position === phrase.length - 1 ? endOnCadenceNote(shaped, phrase.cadence, currentChord, key, rangeIndices) : shaped;
+}
+
+/**
+ * Move a motif by the distance between its chord's root and a new chord's root
+ * The smallest move that keeps the motif in range is used, so the same chord repeats it exactly.
+ * @param {Object} motif - Motif { measure, chord }
+ * @param {Array} chord - Chord notes the motif is moved to
+ * @param {Object} rangeIndices - Range of the melody { minIndex, maxIndex }
+ * @returns {string|null} Moved ABC measure, or null when no move keeps it in range
+ */
+function moveMotifToChord(motif, chord, rangeIndices) {
+  const letters = 'CDEFGAB';
+  const rootSteps = letters.indexOf(chord[0].charAt(0)) - letters.indexOf(motif.chord[0].charAt(0));
+  const steps = (((rootSteps + 3) % 7) + 7) % 7 - 3;
+
+  const fitting = [steps, steps - 7 * Math.sign(steps || 1), steps + 7 * Math.sign(steps || 1)].find(move => {
+    const noteIndices = getMeasureNoteIndices(motif.measure).map(index => index + move);
+    return Math.min(...noteIndices) >= rangeIndices.minIndex && Math.max(...noteIndices) <= rangeIndices.maxIndex;
+  });
+  return fitting === undefined ? null : transposeMeasure(motif.measure, fitting);
+}
+
+/**
+ * End a phrase's last measure on its cadence note
+ * An authentic cadence ends on the tonic and a half cadence on a tone of the dominant chord,
+ * whichever lies nearest the written last note. Notes tied into the last note move with it.
+ * @param {string} measure - ABC melody measure without accidentals
+ * @param {string} cadence - 'half' or 'authentic'
+ * @param {Array} currentChord - Chord notes of the measure (the dominant for a half cadence)
+ * @param {string} key - Key of the measure
+ * @param {Object} rangeIndices - Range of the melody { minIndex, maxIndex }
+ * @returns {string} ABC measure ending on the cadence note
+ */
+function endOnCadenceNote(measure, cadence, currentChord, key, rangeIndices) {
+  const notes = [...measure.matchAll(/([A-Ga-g])([,']*)(\d*(?:\/\d*)?)(-?)/g)];
+  if (notes.length === 0) return measure;
+
+  const lastNote = notes[notes.length - 1];
+  const lastIndex = getAbcNoteIndex(lastNote[1], lastNote[2]);
+  const targetLetters = cadence === 'authentic' ? [key.charAt(0)] : currentChord.map(note => note.charAt(0));
+  const targetIndex = [0, -1, 1, -2, 2, -3, 3, -4, 4, -5, 5, -6, 6]
+    .map(offset => lastIndex + offset)
+    .find(index => index >= rangeIndices.minIndex && index <= rangeIndices.maxIndex &&
+      targetLetters.includes('CDEFGAB'.charAt(((index % 7) + 7) % 7)));
+  if (targetIndex === undefined) return measure;
+
+  let firstTied = notes.length - 1;
+  while (firstTied > 0 && notes[firstTied - 1][4] === '-') {
+    firstTied--;
+  }
+  const targetNote = convertNoteIndexToABC(targetIndex, 0, null);
+  return notes.slice(firstTied).reduceRight((result, note) =>
+    result.slice(0, note.index) + targetNote + result.slice(note.index + note[1].length + note[2].length), measure);
+}
+
+function generateRightHandPattern(pattern, currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rightHandIntervals, rightHand4NoteChords, rangeIndices = null, rhythmOptions = null) {
+  const meterGrid = rhythmOptions && rhythmOptions.timeSignature ? getMeterGrid(rhythmOptions.timeSignature) : null;
   switch (pattern) {
     case 'octaves':
-      return generateRightHandOctaves(0, -3, 0, null, null, currentChord, totalBeatsPerMeasure, intervals, availableDurations, key);
+      return generateRightHandOctaves(0, -3, 0, null, null, currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, meterGrid);
     case 'intervals': {
       const selectedInterval = rightHandIntervals && rightHandIntervals.length > 0 ? rightHandIntervals[0] : '2nd';
-      return generateRightHandIntervals(0, -3, 0, null, null, currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, selectedInterval);
+      return generateRightHandIntervals(0, -3, 0, null, null, currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, selectedInterval, meterGrid);
     }
     case '3-note-chords':
-      return generateRightHand3NoteChords(0, -3, 0, null, null, currentChord, totalBeatsPerMeasure, intervals, availableDurations);
+      return generateRightHand3NoteChords(0, -3, 0, null, null, currentChord, totalBeatsPerMeasure, intervals, availableDurations, meterGrid);
     case '4-note-chords': {
       const selectedChordType = rightHand4NoteChords && rightHand4NoteChords.length > 0 ? rightHand4NoteChords[0] : 'major';
-      return generateRightHand4NoteChords(0, -3, 0, null, null, currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, selectedChordType);
+      return generateRightHand4NoteChords(0, -3, 0, null, null, currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, selectedChordType, meterGrid);
     }
+    case 'held-note-melody':
+      return generateHeldNoteMelody(currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rangeIndices || { minIndex: 0, maxIndex: 10 }, rhythmOptions);
     default: // 'single-notes' and others
       // Generate simple single note melody with optional range constraints
-      return generateSimpleMelody(currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rangeIndices);
+      return generateSimpleMelody(currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rangeIndices, rhythmOptions);
+  }
+}
+
+/**
+ * Generate a melody over a held note in the same hand (e.g., a pedal tone under a minuet line)
+ * The lowest chord tone in range is held for the whole measure and the melody moves within an
+ * octave above it. Both voices are written as chords, the held note tied from chord to chord.
+ * @param {Array} currentChord - Current chord notes
+ * @param {number} totalBeatsPerMeasure - Total beats in measure
+ * @param {Array} intervals - Available intervals
+ * @param {Array} availableDurations - Available durations
+ * @param {string} key - Musical key
+ * @param {Object} rangeIndices - Range of both voices { minIndex, maxIndex }
+ * @param {Object} rhythmOptions - Optional { syncopation, tiedNotes, timeSignature, tuplets } for the melody
+ * @returns {string} Generated ABC measure (e.g., '[C-e]2 [C-d]2 [C-e]2 [Cg]2|')
+ */
+function generateHeldNoteMelody(currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rangeIndices, rhythmOptions = null) {
+  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const chordLetters = (currentChord || ['C', 'E', 'G']).map(note => notes.indexOf(note.charAt(0)));
+
+  let heldIndex = rangeIndices.minIndex;
+  while (!chordLetters.includes(((heldIndex % 7) + 7) % 7)) {
+    heldIndex++;
   }
+  const heldNote = convertNoteIndexToABC(heldIndex, 0, null);
+
+  // The melody stays above the held note and within the hand's reach
+  const melodyRange = {
+    minIndex: heldIndex + 1,
+    maxIndex: Math.max(heldIndex + 2, Math.min(rangeIndices.maxIndex, heldIndex + 7))
+  };
+  const melody = generateSimpleMelody(currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, melodyRange, rhythmOptions);
+
+  // Every melody note becomes a chord with the held note, tied on until the last one;
+  // a rest in the melody leaves the held note sounding alone
+  const events = findMeasureEvents(melody);
+  return events.reduceRight((measure, event, i) => {
+    const tie = i < events.length - 1 ? '-' : '';
+    const [, written, duration] = measure.slice(event.index, event.noteEnd).match(/^([_^=]*[A-Ga-g][,']*|[zZ])(.*)$/);
+    const held = event.isRest ? `${heldNote}${duration}${tie}` : `[${heldNote}${tie}${written}]${duration}`;
+    return measure.slice(0, event.index) + held + measure.slice(event.noteEnd);
+  }, melody);
 }
 
 /**
@@ -955,24 +2172,43 @@ function generateRightHandPattern(pattern, currentChord, totalBeatsPerMeasure, i
  * @param {Array} availableDurations - Available note durations
  * @param {string} key - Musical key
  * @param {Object} rangeIndices - Optional range constraints { minIndex, maxIndex }
+ * @param {Array} nextChord - Chord notes of the following measure (null for the last measure)
+ * @param {Object} rhythmOptions - Melody rhythm options { syncopation, tiedNotes, timeSignature, tuplets }
  * @returns {string} Generated ABC measure
  */
-function generateLeftHandPattern(pattern, currentChord, totalBeatsPerMeasure, leftHandBrokenChords, intervals, availableDurations, key, rangeIndices = null) {
+function generateLeftHandPattern(pattern, currentChord, totalBeatsPerMeasure, leftHandBrokenChords, intervals, availableDurations, key, rangeIndices = null, nextChord = null, rhythmOptions = null) {
+  const timeSignature = rhythmOptions && rhythmOptions.timeSignature ? rhythmOptions.timeSignature : '4/4';
+
+  // Patterns that cannot fit the meter fall back to block chords rather than writing wrong bar lengths
+  const patternInfo = AVAILABLE_LEFT_HAND_PATTERNS.find(leftHandPattern => leftHandPattern.id === pattern);
+  if (patternInfo && !patternInfo.supportedTimeSignatures.includes(timeSignature)) {
+    addGenerationWarning(`${patternInfo.label} does not fit ${timeSignature}, using block chords`);
+    return generateBassChord(currentChord, totalBeatsPerMeasure, timeSignature);
+  }
+
   switch (pattern) {
     case 'single-notes':
-      return generateSimpleMelody(currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rangeIndices);
+      return generateSimpleMelody(currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rangeIndices, rhythmOptions);
     case 'alberti-bass':
-      return generateAlbertiBass(currentChord, totalBeatsPerMeasure);
+      return generateAlbertiBass(currentChord, totalBeatsPerMeasure, timeSignature);
     case 'octaves':
-      return generateLeftHandOctaves(currentChord, totalBeatsPerMeasure);
+      return generateLeftHandOctaves(currentChord, totalBeatsPerMeasure, timeSignature);
     case 'walking-bass':
-      return generateBassChord(currentChord, totalBeatsPerMeasure); // Placeholder implementation
+      return generateWalkingBass(currentChord, nextChord, totalBeatsPerMeasure, key, rangeIndices, timeSignature);
     case 'broken-chords': {
       const selectedBrokenChordPattern = leftHandBrokenChords && leftHandBrokenChords.length > 0 ? leftHandBrokenChords[0] : '1-3-5-3';
-      return generateLeftHandBrokenChords(currentChord, totalBeatsPerMeasure, selectedBrokenChordPattern);
+      return generateLeftHandBrokenChords(currentChord, totalBeatsPerMeasure, selectedBrokenChordPattern, timeSignature);
+    }
+    case 'pedal-tone': {
+      // Written an octave up (G3 to F#4 by default) and lowered, so the melody starts near its range
+      const raisedRange = rangeIndices
+        ? { minIndex: rangeIndices.minIndex + 7, maxIndex: rangeIndices.maxIndex + 7 }
+        : { minIndex: -3, maxIndex: 6 };
+      const measure = generateHeldNoteMelody(currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, raisedRange, rhythmOptions);
+      return adjustMeasureOctave(measure, -1);
     }
     default: // 'block-chords' and others
-      return generateBassChord(currentChord, totalBeatsPerMeasure);
+      return generateBassChord(currentChord, totalBeatsPerMeasure, timeSignature);
   }
 }
 
@@ -986,17 +2222,18 @@ function generateLeftHandPattern(pattern, currentChord, totalBeatsPerMeasure, le
  * @param {Object} patternConfig - Configuration object with intervals, durations, etc.
  * @param {boolean} swapHandPatterns - Whether patterns are swapped
  * @param {Object} rangeIndices - Optional range constraints { minIndex, maxIndex }
+ * @param {Array} nextChord - Chord notes of the following measure (null for the last measure)
  * @returns {string} Generated ABC measure with appropriate octave
  */
-function generatePatternForClef(clef, patternType, patternSource, currentChord, totalBeatsPerMeasure, patternConfig, swapHandPatterns, rangeIndices = null) {
-  const { intervals, availableDurations, key, rightHandIntervals, rightHand4NoteChords, leftHandBrokenChords } = patternConfig;
+function generatePatternForClef(clef, patternType, patternSource, currentChord, totalBeatsPerMeasure, patternConfig, swapHandPatterns, rangeIndices = null, nextChord = null) {
+  const { intervals, availableDurations, rhythmOptions, key, rightHandIntervals, rightHand4NoteChords, leftHandBrokenChords } = patternConfig;
 
   let measure;
 
   if (patternSource === 'right') {
-    measure = generateRightHandPattern(patternType, currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rightHandIntervals, rightHand4NoteChords, rangeIndices);
+    measure = generateRightHandPattern(patternType, currentChord, totalBeatsPerMeasure, intervals, availableDurations, key, rightHandIntervals, rightHand4NoteChords, rangeIndices, rhythmOptions);
   } else {
-    measure = generateLeftHandPattern(patternType, currentChord, totalBeatsPerMeasure, leftHandBrokenChords, intervals, availableDurations, key, rangeIndices);
+    measure = generateLeftHandPattern(patternType, currentChord, totalBeatsPerMeasure, leftHandBrokenChords, intervals, availableDurations, key, rangeIndices, nextChord, rhythmOptions);
   }
 
   // Apply octave adjustment if patterns are swapped
@@ -1146,36 +2383,122 @@ function adjustMeasureOctave(measure, octaveShift) {
   });
 }
 
+/**
+ * Get the note index of an ABC note, counted in steps from middle C (C4 = 0)
+ * @param {string} letter - Note letter, lowercase for the octave above middle C
+ * @param {string} octaveMarks - Commas and apostrophes written after the letter
+ * @returns {number} Note index
+ */
+function getAbcNoteIndex(letter, octaveMarks = '') {
+  const octave = (letter === letter.toLowerCase() ? 1 : 0)
+    + (octaveMarks.match(/'/g) || []).length - (octaveMarks.match(/,/g) || []).length;
+  return 'CDEFGAB'.indexOf(letter.toUpperCase()) + octave * 7;
+}
+
+/**
+ * Get the note index of every note in a measure, in order
+ * @param {string} measure - ABC measure string
+ * @returns {number[]} Note indices (C4 = 0)
+ */
+function getMeasureNoteIndices(measure) {
+  return [...measure.matchAll(/([A-Ga-g])([,']*)/g)].map(([, letter, octaveMarks]) => getAbcNoteIndex(letter, octaveMarks));
+}
+
+/**
+ * Move every note of a measure by a number of scale steps, keeping its rhythm and ties
+ * @param {string} measure - ABC measure of notes without accidentals (e.g., 'C2 D E F|')
+ * @param {number} steps - Scale steps to move (positive moves up)
+ * @returns {string} Transposed measure (e.g., 'E2 F G A|' for 2 steps)
+ */
+function transposeMeasure(measure, steps) {
+  if (steps === 0) return measure;
+  return measure.replace(/([A-Ga-g])([,']*)/g, (match, letter, octaveMarks) =>
+    convertNoteIndexToABC(getAbcNoteIndex(letter, octaveMarks) + steps, 0, null));
+}
+
+/**
+ * Move a measure by whole octaves so its notes sit inside a note range
+ * Patterns written in a fixed register (octaves, intervals, chords) are placed in a
+ * single staff's range this way. Measures already in range are left alone.
+ * @param {string} measure - ABC notation for the measure
+ * @param {Object} rangeIndices - Optional range constraints { minIndex, maxIndex }
+ * @returns {string} The measure, moved by whole octaves if needed
+ */
+function fitMeasureToRange(measure, rangeIndices) {
+  if (!rangeIndices) return measure;
+
+  const noteIndices = getMeasureNoteIndices(measure);
+  if (noteIndices.length === 0) return measure;
+
+  const lowest = Math.min(...noteIndices);
+  const highest = Math.max(...noteIndices);
+  const fits = shift => lowest + shift * 7 >= rangeIndices.minIndex && highest + shift * 7 <= rangeIndices.maxIndex;
+
+  // Prefer the smallest move that fits; a measure wider than the range is centred on it
+  const fittingShifts = [0, 1, -1, 2, -2, 3, -3].filter(fits);
+  const octaveShift = fittingShifts.length > 0
+    ? fittingShifts[0]
+    : Math.round(((rangeIndices.minIndex + rangeIndices.maxIndex) - (lowest + highest)) / 14);
+
+  return adjustMeasureOctave(measure, octaveShift);
+}
+
 /**
  * Generate a bass chord measure
  * @param {string[]} chordNotes - Array of chord note names
  * @param {number} totalBeats - Total beats in the measure
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
  * @returns {string} ABC notation for bass chord measure
  */
-function generateBassChord(chordNotes, totalBeats) {
+function generateBassChord(chordNotes, totalBeats, timeSignature = '4/4') {
   // Convert chord notes to ABC notation
   const abcChordNotes = chordNotes.map(convertNoteToABC);
   
-  // Create a block chord (notes played simultaneously)
-  // For a whole note in 4/4 time (8 eighth note beats), we use 8
-  const durationNotation = totalBeats.toString();
-  
-  // Create block chord notation [notes]duration
-  const blockChord = `[${abcChordNotes.join('')}]${durationNotation}`;
-  
-  return blockChord + '|';
+  // Create a block chord (notes played simultaneously) held for the whole measure,
+  // tied at the beat where the length cannot be written as one note (e.g., 7/8)
+  return applyChordRhythm(`[${abcChordNotes.join('')}]`, [totalBeats], timeSignature);
+}
+
+/**
+ * Fill a measure with a repeating eighth note figure, one figure per beat
+ * Beats alternate between the start of the figure and its second half, so 4/4 reads
+ * 1-5-3-5 1-5-3-5 and a dotted beat takes three notes (1-5-3 5-3-5 in 6/8). Beats of
+ * four or more eighths (2/2) play the whole figure.
+ * @param {string[]} figure - Four ABC notes (e.g., root-fifth-third-fifth)
+ * @param {number} totalBeats - Total beats in the measure
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
+ * @returns {string} ABC notes without a bar line
+ */
+function fillBeatsWithFigure(figure, totalBeats, timeSignature) {
+  const { beatStarts } = getMeterGrid(timeSignature);
+  const starts = beatStarts.filter(start => start < totalBeats);
+
+  let measure = '';
+  starts.forEach((start, i) => {
+    const beatEnd = i < starts.length - 1 ? starts[i + 1] : totalBeats;
+    const length = beatEnd - start;
+    const fromStart = i % 2 === 0 || length >= 4;
+    const offset = fromStart ? 0 : (length === 3 ? 1 : 2);
+
+    for (let note = 0; note < length; note++) {
+      measure += figure[(offset + note) % figure.length]; // No duration notation = eighth notes (default)
+    }
+  });
+
+  return measure;
 }
 
 /**
  * Generate an Alberti bass measure (root-fifth-third-fifth pattern)
  * @param {string[]} chordNotes - Array of chord note names
  * @param {number} totalBeats - Total beats in the measure
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
  * @returns {string} ABC notation for Alberti bass measure
  */
-function generateAlbertiBass(chordNotes, totalBeats) {
+function generateAlbertiBass(chordNotes, totalBeats, timeSignature = '4/4') {
   if (chordNotes.length < 3) {
     // Fallback to block chord if not enough notes
-    return generateBassChord(chordNotes, totalBeats);
+    return generateBassChord(chordNotes, totalBeats, timeSignature);
   }
   
   // Extract chord tones: root, third, fifth
@@ -1183,94 +2506,274 @@ function generateAlbertiBass(chordNotes, totalBeats) {
   const third = convertNoteToABC(chordNotes[1]);
   const fifth = convertNoteToABC(chordNotes[2]);
   
-  // Alberti pattern: root-fifth-third-fifth
+  // Alberti pattern: root-fifth-third-fifth in eighth notes (traditional Alberti bass), laid out by beat
   const pattern = [root, fifth, third, fifth];
   
-  let measure = '';
-  let beatsUsed = 0;
-  
-  // Fill measure with Alberti pattern (eighth notes - traditional Alberti bass)
-  while (beatsUsed < totalBeats) {
-    const patternIndex = beatsUsed % pattern.length;
-    measure += pattern[patternIndex]; // No duration notation = eighth notes (default)
-    beatsUsed += 1; // Each note is an eighth note (1 beat in our system)
-  }
-  
-  return measure + '|';
+  return fillBeatsWithFigure(pattern, totalBeats, timeSignature) + '|';
 }
 
 /**
  * Generate a left-hand octaves measure (root note with octave higher)
  * @param {string[]} chordNotes - Array of chord note names
  * @param {number} totalBeats - Total beats in the measure
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
  * @returns {string} ABC notation for left-hand octaves measure
  */
-function generateLeftHandOctaves(chordNotes, totalBeats) {
+function generateLeftHandOctaves(chordNotes, totalBeats, timeSignature = '4/4') {
   if (chordNotes.length === 0) {
-    return generateBassChord(['C', 'E', 'G'], totalBeats);
+    return generateBassChord(['C', 'E', 'G'], totalBeats, timeSignature);
   }
   
   const root = convertNoteToABC(chordNotes[0]);
   const rootOctaveHigher = root.replace(/,/g, '');
   
-  const durationNotation = totalBeats.toString();
-  
-  const octaveInterval = `[${root}${rootOctaveHigher}]${durationNotation}`;
-  
-  return octaveInterval + '|';
+  return applyChordRhythm(`[${root}${rootOctaveHigher}]`, [totalBeats], timeSignature);
 }
 
 /**
- * Convert note index to specific octave level with proper comma notation
- * @param {number} noteIndex - Note index (0-6)
- * @param {number} octaveLevel - Octave level (0=,,, 1=,, 2=no comma, etc.)
- * @returns {string} ABC notation with correct octave
+ * Get the key signature alteration for each note letter
+ * @param {string} key - Musical key (e.g., 'G', 'Em')
+ * @returns {Object} Map of note letter to semitone alteration (e.g., { F: 1 } for G major)
  */
-function getNoteAtOctaveLevel(noteIndex, octaveLevel) {
-  const octaveOffset = 0;
-  const maxOctavesLower = 3;
-  
-  // Convert octave level to note index adjustment
-  // Level 0: ,, (noteIndex - 14)
-  // Level 1: , (noteIndex - 7) 
-  // Level 2: no comma (noteIndex)
-  const adjustment = (2 - octaveLevel) * 7;
-  
-  return convertNoteIndexToABC(noteIndex - adjustment, octaveOffset, maxOctavesLower);
+function getKeySignatureAccidentals(key) {
+  const isMinorKey = key.includes('m');
+  const scaleDegrees = (isMinorKey ? MINOR_SCALE_DEGREES[key] : MAJOR_SCALE_DEGREES[key]) || MAJOR_SCALE_DEGREES['C'];
+  const accidentals = {};
+
+  scaleDegrees.forEach(note => {
+    const sharps = (note.match(/#/g) || []).length;
+    const flats = (note.slice(1).match(/b/g) || []).length;
+    accidentals[note.charAt(0)] = sharps - flats;
+  });
+
+  return accidentals;
 }
 
 /**
- * Get absolute pitch position for comparison (higher number = higher pitch)
- * @param {number} noteIndex - Note index (0-6)
- * @param {number} octaveLevel - Octave level (0=,,, 1=,, 2=no comma)
- * @returns {number} Absolute pitch for comparison
+ * Get the semitone pitch of a note index (C4 = index 0 = pitch 0)
+ * @param {number} noteIndex - Diatonic note index
+ * @param {number} alteration - Semitone alteration (-1 flat, 0 natural, 1 sharp)
+ * @returns {number} Semitones relative to middle C
  */
-function getAbsolutePitch(noteIndex, octaveLevel) {
-  return noteIndex + (octaveLevel * 7);
+function getSemitonePitch(noteIndex, alteration) {
+  const naturalSemitones = [0, 2, 4, 5, 7, 9, 11];
+  const octave = Math.floor(noteIndex / 7);
+  return octave * 12 + naturalSemitones[((noteIndex % 7) + 7) % 7] + alteration;
 }
 
 /**
- * Generate properly spaced octaves for 1-5-1-3-5-3-1-5 broken chord pattern
- * First 5 notes ascending, last 3 notes descending
- * @param {number} rootIndex - Root note index (0-6)
- * @param {number} thirdIndex - Third note index (0-6) 
- * @param {number} fifthIndex - Fifth note index (0-6)
- * @returns {array} Array with properly octaved notes for each pattern position
+ * Find where a chord root sits in the bass register
+ * Roots are kept in the lowest octave of the range (no lower than F2) so that
+ * every measure places its root the same way and approach tones can target it
+ * @param {string} rootNote - Root note name (e.g., 'C', 'F#', 'Bb')
+ * @param {Object} rangeIndices - Range constraints { minIndex, maxIndex }
+ * @returns {number} Note index for the root
  */
-function validateBrokenChordOctaves(rootIndex, thirdIndex, fifthIndex) {
-  // Pattern positions: 1-5-1-3-5-3-1-5
-  // Indices:          [0,1,2,3,4,5,6,7]
-  const pattern = [
-    {degree: rootIndex, pos: 0},   // 1
-    {degree: fifthIndex, pos: 1},  // 5
-    {degree: rootIndex, pos: 2},   // 1 
-    {degree: thirdIndex, pos: 3},  // 3
-    {degree: fifthIndex, pos: 4},  // 5
-    {degree: thirdIndex, pos: 5},  // 3
-    {degree: rootIndex, pos: 6},   // 1
-    {degree: fifthIndex, pos: 7}   // 5
-  ];
-  
+function getWalkingBassRootIndex(rootNote, rangeIndices) {
+  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const letterIndex = notes.indexOf(rootNote.charAt(0));
+  const windowStart = Math.max(rangeIndices.minIndex, -11);
+
+  // First occurrence of the root letter at or above the window start
+  let rootIndex = windowStart + ((letterIndex - windowStart) % 7 + 7) % 7;
+
+  // Narrow ranges may not fit the root above the window start, so drop it an octave
+  if (rootIndex > rangeIndices.maxIndex) {
+    rootIndex -= 7;
+  }
+
+  return rootIndex;
+}
+
+/**
+ * Choose the note on the last beat that leads into the next chord root
+ * @param {number} targetIndex - Note index of the next chord root
+ * @param {number} targetAlteration - Alteration of the next chord root
+ * @param {number} previousIndex - Note index of the previous beat
+ * @param {Object} keyAccidentals - Key signature alterations by letter
+ * @param {Object} rangeIndices - Range constraints { minIndex, maxIndex }
+ * @returns {Object} Approach note { index, alteration }
+ */
+function chooseApproachTone(targetIndex, targetAlteration, previousIndex, keyAccidentals, rangeIndices) {
+  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const letterAt = index => notes[((index % 7) + 7) % 7];
+  const targetPitch = getSemitonePitch(targetIndex, targetAlteration);
+
+  const candidates = [
+    // Chromatic approach from a half step below and above
+    { index: targetIndex - 1, alteration: targetPitch - 1 - getSemitonePitch(targetIndex - 1, 0) },
+    { index: targetIndex + 1, alteration: targetPitch + 1 - getSemitonePitch(targetIndex + 1, 0) },
+    // Scale approach from a step below and above
+    { index: targetIndex - 1, alteration: keyAccidentals[letterAt(targetIndex - 1)] },
+    { index: targetIndex + 1, alteration: keyAccidentals[letterAt(targetIndex + 1)] },
+    // Dominant approach from the fifth above or the fourth below
+    { index: targetIndex + 4, alteration: keyAccidentals[letterAt(targetIndex + 4)] },
+    { index: targetIndex - 3, alteration: keyAccidentals[letterAt(targetIndex - 3)] }
+  ];
+
+  const validCandidates = candidates.filter(candidate =>
+    Math.abs(candidate.alteration) <= 1 &&
+    candidate.index >= rangeIndices.minIndex &&
+    candidate.index <= rangeIndices.maxIndex &&
+    candidate.index !== previousIndex
+  );
+
+  if (validCandidates.length === 0) {
+    return { index: targetIndex, alteration: targetAlteration };
+  }
+
+  return validCandidates[Math.floor(random() * validCandidates.length)];
+}
+
+/**
+ * Generate a walking bass measure
+ * Chord tones fall on the strong beats, scale tones fill the weak beats and the
+ * last beat approaches the next chord root chromatically, by step or from its fifth
+ * @param {string[]} chordNotes - Array of chord note names for this measure
+ * @param {string[]} nextChordNotes - Chord notes of the following measure (null for the last measure)
+ * @param {number} totalBeats - Total beats in the measure
+ * @param {string} key - Musical key
+ * @param {Object} rangeIndices - Optional range constraints { minIndex, maxIndex }
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
+ * @returns {string} ABC notation for walking bass measure
+ */
+function generateWalkingBass(chordNotes, nextChordNotes, totalBeats, key, rangeIndices = null, timeSignature = '4/4') {
+  if (chordNotes.length < 3) {
+    // Fallback to block chord if not enough notes
+    return generateBassChord(chordNotes, totalBeats, timeSignature);
+  }
+
+  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const letterAt = index => notes[((index % 7) + 7) % 7];
+  const alterationOf = noteName => (noteName.match(/#/g) || []).length - (noteName.slice(1).match(/b/g) || []).length;
+
+  // Default to E2-C4 when no bass range is configured
+  const range = rangeIndices || { minIndex: -12, maxIndex: 0 };
+  const keyAccidentals = getKeySignatureAccidentals(key);
+
+  // Chord tones of the current chord anywhere inside the range
+  const chordAlterations = {};
+  chordNotes.forEach(note => {
+    chordAlterations[note.charAt(0)] = alterationOf(note);
+  });
+  const chordToneIndices = [];
+  for (let index = range.minIndex; index <= range.maxIndex; index++) {
+    if (letterAt(index) in chordAlterations) {
+      chordToneIndices.push(index);
+    }
+  }
+
+  const rootIndex = getWalkingBassRootIndex(chordNotes[0], range);
+  // With no next chord the line walks back to its own root
+  const targetChord = nextChordNotes && nextChordNotes.length > 0 ? nextChordNotes : chordNotes;
+  const targetIndex = getWalkingBassRootIndex(targetChord[0], range);
+
+  // One note per beat of the meter (dotted quarters in compound time, uneven beats in 7/8)
+  const beatStarts = getMeterGrid(timeSignature).beatStarts.filter(start => start < totalBeats);
+  const beatDurations = beatStarts.map((start, i) => (i < beatStarts.length - 1 ? beatStarts[i + 1] : totalBeats) - start);
+  const numBeats = beatDurations.length;
+  const line = [{ index: rootIndex, alteration: alterationOf(chordNotes[0]) }];
+
+  for (let beat = 1; beat < numBeats - 1; beat++) {
+    const previous = line[beat - 1].index;
+    const beatsToTarget = numBeats - 1 - beat;
+    const direction = Math.sign(targetIndex - previous) || (random() < 0.5 ? 1 : -1);
+
+    if (beat % 2 === 0) {
+      // Strong beat: chord tone closest to a straight line towards the next root
+      const idealIndex = previous + (targetIndex - previous) / (beatsToTarget + 1);
+      const options = chordToneIndices
+        .filter(index => index !== previous)
+        .sort((a, b) => Math.abs(a - idealIndex) - Math.abs(b - idealIndex))
+        .slice(0, 2);
+      const chosen = options.length > 0 ? options[Math.floor(random() * options.length)] : previous;
+      line.push({ index: chosen, alteration: chordAlterations[letterAt(chosen)] });
+    } else {
+      // Weak beat: scale step towards the next root, turning back at the range edges
+      let stepIndex = previous + direction;
+      if (stepIndex < range.minIndex || stepIndex > range.maxIndex) {
+        stepIndex = previous - direction;
+      }
+      line.push({ index: stepIndex, alteration: keyAccidentals[letterAt(stepIndex)] });
+    }
+  }
+
+  if (numBeats > 1) {
+    line.push(chooseApproachTone(targetIndex, alterationOf(targetChord[0]), line[line.length - 1].index, keyAccidentals, range));
+  }
+
+  // Write accidentals only where a note differs from the key signature or an earlier accidental in the bar
+  const barAccidentals = {};
+  let measure = '';
+  line.forEach((note, i) => {
+    const noteKey = `${letterAt(note.index)}${Math.floor(note.index / 7)}`;
+    const currentAlteration = noteKey in barAccidentals ? barAccidentals[noteKey] : keyAccidentals[letterAt(note.index)];
+    let accidental = '';
+    if (note.alteration !== currentAlteration) {
+      accidental = note.alteration > 0 ? '^'.repeat(note.alteration) : note.alteration < 0 ? '_'.repeat(-note.alteration) : '=';
+      barAccidentals[noteKey] = note.alteration;
+    }
+
+    measure += accidental + convertNoteIndexToABC(note.index, 0, null) + formatEighthDuration(beatDurations[i]);
+    if (i < line.length - 1) {
+      measure += ' ';
+    }
+  });
+
+  return measure + '|';
+}
+
+/**
+ * Convert note index to specific octave level with proper comma notation
+ * @param {number} noteIndex - Note index (0-6)
+ * @param {number} octaveLevel - Octave level (0=,,, 1=,, 2=no comma, etc.)
+ * @returns {string} ABC notation with correct octave
+ */
+function getNoteAtOctaveLevel(noteIndex, octaveLevel) {
+  const octaveOffset = 0;
+  const maxOctavesLower = 3;
+  
+  // Convert octave level to note index adjustment
+  // Level 0: ,, (noteIndex - 14)
+  // Level 1: , (noteIndex - 7) 
+  // Level 2: no comma (noteIndex)
+  const adjustment = (2 - octaveLevel) * 7;
+  
+  return convertNoteIndexToABC(noteIndex - adjustment, octaveOffset, maxOctavesLower);
+}
+
+/**
+ * Get absolute pitch position for comparison (higher number = higher pitch)
+ * @param {number} noteIndex - Note index (0-6)
+ * @param {number} octaveLevel - Octave level (0=,,, 1=,, 2=no comma)
+ * @returns {number} Absolute pitch for comparison
+ */
+function getAbsolutePitch(noteIndex, octaveLevel) {
+  return noteIndex + (octaveLevel * 7);
+}
+
+/**
+ * Generate properly spaced octaves for 1-5-1-3-5-3-1-5 broken chord pattern
+ * First 5 notes ascending, last 3 notes descending
+ * @param {number} rootIndex - Root note index (0-6)
+ * @param {number} thirdIndex - Third note index (0-6) 
+ * @param {number} fifthIndex - Fifth note index (0-6)
+ * @returns {array} Array with properly octaved notes for each pattern position
+ */
+function validateBrokenChordOctaves(rootIndex, thirdIndex, fifthIndex) {
+  // Pattern positions: 1-5-1-3-5-3-1-5
+  // Indices:          [0,1,2,3,4,5,6,7]
+  const pattern = [
+    {degree: rootIndex, pos: 0},   // 1
+    {degree: fifthIndex, pos: 1},  // 5
+    {degree: rootIndex, pos: 2},   // 1 
+    {degree: thirdIndex, pos: 3},  // 3
+    {degree: fifthIndex, pos: 4},  // 5
+    {degree: thirdIndex, pos: 5},  // 3
+    {degree: rootIndex, pos: 6},   // 1
+    {degree: fifthIndex, pos: 7}   // 5
+  ];
+  
   // Determine octave levels for ascending positions 0-4
   let octaveLevels = new Array(8);
   let currentPitch = -1;
@@ -1324,12 +2827,13 @@ function validateBrokenChordOctaves(rootIndex, thirdIndex, fifthIndex) {
  * @param {string[]} chordNotes - Array of chord note names
  * @param {number} totalBeats - Total beats in the measure
  * @param {string} pattern - Pattern type ('1-3-5-3' or '1-3-5-3-quarter')
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
  * @returns {string} ABC notation for left-hand broken chords measure
  */
-function generateLeftHandBrokenChords(chordNotes, totalBeats, pattern) {
+function generateLeftHandBrokenChords(chordNotes, totalBeats, pattern, timeSignature = '4/4') {
   if (chordNotes.length < 3) {
     // Fallback to block chord if not enough notes
-    return generateBassChord(chordNotes, totalBeats);
+    return generateBassChord(chordNotes, totalBeats, timeSignature);
   }
   
   const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
@@ -1388,16 +2892,20 @@ function generateLeftHandBrokenChords(chordNotes, totalBeats, pattern) {
   let beatsUsed = 0;
   
   if (pattern === '1-3-5-3-quarter') {
-    // Quarter note pattern - 4 quarter notes in 4/4 time
-    // Each quarter note takes 2 eighth-note units in our system
-    const quarterNoteBeats = 2;
+    // Quarter note pattern - quarter notes through each beat (4 in 4/4)
+    // A dotted beat takes one dotted quarter instead, so compound time keeps its beats
     const chordPattern = [rootNote, thirdNote, fifthNote, thirdNote];
+    const beatStarts = getMeterGrid(timeSignature).beatStarts.filter(start => start < totalBeats);
+    let noteCount = 0;
     
-    for (let i = 0; i < 4 && beatsUsed < totalBeats; i++) {
-      const patternIndex = i % chordPattern.length;
-      measure += chordPattern[patternIndex] + '2'; // '2' suffix for quarter notes
-      beatsUsed += quarterNoteBeats;
-    }
+    beatStarts.forEach((start, i) => {
+      const beatEnd = i < beatStarts.length - 1 ? beatStarts[i + 1] : totalBeats;
+      const noteDurations = (beatEnd - start) % 2 === 0 ? Array((beatEnd - start) / 2).fill(2) : [beatEnd - start];
+      noteDurations.forEach(duration => {
+        measure += chordPattern[noteCount % chordPattern.length] + formatEighthDuration(duration);
+        noteCount++;
+      });
+    });
   } else if (pattern === 'broken-chords-1') {
     // Pattern: 1-5-1-3-5-3-1-5 with validated octave placements
     const chordPattern = validateBrokenChordOctaves(rootIndex, thirdIndex, fifthIndex);
@@ -1408,14 +2916,9 @@ function generateLeftHandBrokenChords(chordNotes, totalBeats, pattern) {
       beatsUsed += 1; // Each note is an eighth note (1 beat in our system)
     }
   } else {
-    // Default eighth note pattern (1-3-5-3)
+    // Default eighth note pattern (1-3-5-3), laid out by beat
     const chordPattern = [rootNote, thirdNote, fifthNote, thirdNote];
-    
-    while (beatsUsed < totalBeats) {
-      const patternIndex = beatsUsed % chordPattern.length;
-      measure += chordPattern[patternIndex]; // No duration notation = eighth notes (default)
-      beatsUsed += 1; // Each note is an eighth note (1 beat in our system)
-    }
+    measure = fillBeatsWithFigure(chordPattern, totalBeats, timeSignature);
   }
   
   return measure + '|';
@@ -1476,25 +2979,29 @@ function convertNoteIndexToABC(noteIndex, octaveOffset, maxOctavesLower) {
  * @param {object[]} availableDurations - Available note durations
  * @param {string} key - Musical key for harmonic context
  * @param {string} selectedInterval - Selected interval type ('2nd', '3rd', '4th', '5th', '6th', '7th')
+ * @param {Object} meterGrid - Optional beat positions from getMeterGrid for placing durations
  * @returns {string} ABC notation for right-hand intervals measure
  */
-function generateRightHandIntervals(startIndex, lowestIndex, octaveOffset, highestIndex, maxOctavesLower, chordNotes, totalBeatsPerMeasure, intervals, availableDurations, key, selectedInterval) {
+function generateRightHandIntervals(startIndex, lowestIndex, octaveOffset, highestIndex, maxOctavesLower, chordNotes, totalBeatsPerMeasure, intervals, availableDurations, key, selectedInterval, meterGrid = null) {
   let lastNoteIndex = startIndex;
   let measure = '';
   let beatsUsed = 0;
   
   const harmonicIndices = chordNotes ? getHarmonicNoteIndices(chordNotes, key) : null;
+
+  // Leaps in a row and the last move, for the contour limits
+  const contourState = { consecutiveLeaps: 0, lastMove: null };
   
   while (beatsUsed < totalBeatsPerMeasure) {
     let candidateIndex;
     let interval = 0;
     
-    if (harmonicIndices && Math.random() < 0.7) {
-      const harmonicIndex = harmonicIndices[Math.floor(Math.random() * harmonicIndices.length)];
+    // A chord tone can be any distance away, so not where the contour asks for a step
+    if (harmonicIndices && !isStepRequired(contourState) && random() < 0.7) {
+      const harmonicIndex = harmonicIndices[Math.floor(random() * harmonicIndices.length)];
       candidateIndex = harmonicIndex;
     } else {
-      interval = intervals[Math.floor(Math.random() * intervals.length)] - 1;
-      interval = Math.random() < 0.5 ? -interval : interval;
+      interval = chooseMelodicMove(intervals, contourState);
       candidateIndex = lastNoteIndex + interval;
     }
     
@@ -1504,6 +3011,9 @@ function generateRightHandIntervals(startIndex, lowestIndex, octaveOffset, highe
     if (candidateIndex < lowestIndex) {
       candidateIndex = lastNoteIndex + Math.abs(interval || 1);
     }
+    const move = measure ? candidateIndex - lastNoteIndex : 0;  // The first note has no move before it
+    contourState.consecutiveLeaps = Math.abs(move) >= LEAP_STEPS ? contourState.consecutiveLeaps + 1 : 0;
+    contourState.lastMove = move;
     lastNoteIndex = candidateIndex;
     
     // Calculate root note with proper octave handling
@@ -1526,19 +3036,17 @@ function generateRightHandIntervals(startIndex, lowestIndex, octaveOffset, highe
     const intervalNote = convertNoteIndexToABC(intervalNoteIndex, octaveOffset, maxOctavesLower);
     
     const remainingBeats = totalBeatsPerMeasure - beatsUsed;
-    const validDurations = availableDurations.filter(d => d.beats <= remainingBeats);
+    const validDurations = getPlaceableDurations(availableDurations, beatsUsed, remainingBeats, meterGrid);
     
     if (validDurations.length === 0) {
-      const shortestDuration = availableDurations.reduce((shortest, current) => 
-        current.beats < shortest.beats ? current : shortest
-      );
-      
-      measure += `[${rootNote}${intervalNote}]${shortestDuration.abcNotation}`;
-      beatsUsed += shortestDuration.beats;
+      if (measure && !measure.endsWith(' ')) {
+        measure += ' ';
+      }
+      measure += restForRemainingBeats(beatsUsed, remainingBeats, meterGrid);
       break;
     }
     
-    const selectedDuration = validDurations[Math.floor(Math.random() * validDurations.length)];
+    const selectedDuration = validDurations[Math.floor(random() * validDurations.length)];
     
     measure += `[${rootNote}${intervalNote}]${selectedDuration.abcNotation}`;
     beatsUsed += selectedDuration.beats;
@@ -1563,9 +3071,10 @@ function generateRightHandIntervals(startIndex, lowestIndex, octaveOffset, highe
  * @param {number[]} intervals - Available intervals for movement
  * @param {object[]} availableDurations - Available note durations
  * @param {string} key - Musical key for harmonic context
+ * @param {Object} meterGrid - Optional beat positions from getMeterGrid for placing durations
  * @returns {string} ABC notation for right-hand octaves measure
  */
-function generateRightHandOctaves(startIndex, lowestIndex, octaveOffset, highestIndex, maxOctavesLower, chordNotes, totalBeatsPerMeasure, intervals, availableDurations, key) {
+function generateRightHandOctaves(startIndex, lowestIndex, octaveOffset, highestIndex, maxOctavesLower, chordNotes, totalBeatsPerMeasure, intervals, availableDurations, key, meterGrid = null) {
   let lastNoteIndex = startIndex;
   let octaveLower = false;
   let measure = '';
@@ -1573,17 +3082,20 @@ function generateRightHandOctaves(startIndex, lowestIndex, octaveOffset, highest
   
   const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
   const harmonicIndices = chordNotes ? getHarmonicNoteIndices(chordNotes, key) : null;
+
+  // Leaps in a row and the last move, for the contour limits
+  const contourState = { consecutiveLeaps: 0, lastMove: null };
   
   while (beatsUsed < totalBeatsPerMeasure) {
     let candidateIndex;
     let interval = 0;
     
-    if (harmonicIndices && Math.random() < 0.7) {
-      const harmonicIndex = harmonicIndices[Math.floor(Math.random() * harmonicIndices.length)];
+    // A chord tone can be any distance away, so not where the contour asks for a step
+    if (harmonicIndices && !isStepRequired(contourState) && random() < 0.7) {
+      const harmonicIndex = harmonicIndices[Math.floor(random() * harmonicIndices.length)];
       candidateIndex = harmonicIndex;
     } else {
-      interval = intervals[Math.floor(Math.random() * intervals.length)] - 1;
-      interval = Math.random() < 0.5 ? -interval : interval;
+      interval = chooseMelodicMove(intervals, contourState);
       candidateIndex = lastNoteIndex + interval;
     }
     
@@ -1593,6 +3105,9 @@ function generateRightHandOctaves(startIndex, lowestIndex, octaveOffset, highest
     if (candidateIndex < lowestIndex) {
       candidateIndex = lastNoteIndex + Math.abs(interval || 1);
     }
+    const move = measure ? candidateIndex - lastNoteIndex : 0;  // The first note has no move before it
+    contourState.consecutiveLeaps = Math.abs(move) >= LEAP_STEPS ? contourState.consecutiveLeaps + 1 : 0;
+    contourState.lastMove = move;
     lastNoteIndex = candidateIndex;
     
     let nextNoteIndex = lastNoteIndex;
@@ -1626,19 +3141,17 @@ function generateRightHandOctaves(startIndex, lowestIndex, octaveOffset, highest
     }
     
     const remainingBeats = totalBeatsPerMeasure - beatsUsed;
-    const validDurations = availableDurations.filter(d => d.beats <= remainingBeats);
+    const validDurations = getPlaceableDurations(availableDurations, beatsUsed, remainingBeats, meterGrid);
     
     if (validDurations.length === 0) {
-      const shortestDuration = availableDurations.reduce((shortest, current) => 
-        current.beats < shortest.beats ? current : shortest
-      );
-      
-      measure += `[${nextNote}${octaveNote}]${shortestDuration.abcNotation}`;
-      beatsUsed += shortestDuration.beats;
+      if (measure && !measure.endsWith(' ')) {
+        measure += ' ';
+      }
+      measure += restForRemainingBeats(beatsUsed, remainingBeats, meterGrid);
       break;
     }
     
-    const selectedDuration = validDurations[Math.floor(Math.random() * validDurations.length)];
+    const selectedDuration = validDurations[Math.floor(random() * validDurations.length)];
     
     measure += `[${nextNote}${octaveNote}]${selectedDuration.abcNotation}`;
     beatsUsed += selectedDuration.beats;
@@ -1662,9 +3175,10 @@ function generateRightHandOctaves(startIndex, lowestIndex, octaveOffset, highest
  * @param {number} totalBeatsPerMeasure - Total beats in the measure
  * @param {number[]} intervals - Available intervals for movement
  * @param {object[]} availableDurations - Available note durations
+ * @param {Object} meterGrid - Optional beat positions from getMeterGrid for placing durations
  * @returns {string} ABC notation for right-hand 3-note chord measure
  */
-function generateRightHand3NoteChords(startIndex, lowestIndex, octaveOffset, highestIndex, maxOctavesLower, chordNotes, totalBeatsPerMeasure, intervals, availableDurations) {
+function generateRightHand3NoteChords(startIndex, lowestIndex, octaveOffset, highestIndex, maxOctavesLower, chordNotes, totalBeatsPerMeasure, intervals, availableDurations, meterGrid = null) {
   let measure = '';
   let beatsUsed = 0;
   
@@ -1677,19 +3191,17 @@ function generateRightHand3NoteChords(startIndex, lowestIndex, octaveOffset, hig
     
     // Select duration that fits in remaining beats
     const remainingBeats = totalBeatsPerMeasure - beatsUsed;
-    const validDurations = availableDurations.filter(d => d.beats <= remainingBeats);
+    const validDurations = getPlaceableDurations(availableDurations, beatsUsed, remainingBeats, meterGrid);
     
     if (validDurations.length === 0) {
-      const shortestDuration = availableDurations.reduce((shortest, current) => 
-        current.beats < shortest.beats ? current : shortest
-      );
-      
-      measure += `[${chordVoicing.join('')}]${shortestDuration.abcNotation}`;
-      beatsUsed += shortestDuration.beats;
+      if (measure && !measure.endsWith(' ')) {
+        measure += ' ';
+      }
+      measure += restForRemainingBeats(beatsUsed, remainingBeats, meterGrid);
       break;
     }
     
-    const selectedDuration = validDurations[Math.floor(Math.random() * validDurations.length)];
+    const selectedDuration = validDurations[Math.floor(random() * validDurations.length)];
     
     // Add 3-note chord to measure
     measure += `[${chordVoicing.join('')}]${selectedDuration.abcNotation}`;
@@ -1738,7 +3250,7 @@ function generate3NoteChordVoicing(chordNotes, octaveOffset, maxOctavesLower) {
   ];
   
   // Randomly select a chord ordering
-  const selectedOrdering = chordOrderings[Math.floor(Math.random() * chordOrderings.length)];
+  const selectedOrdering = chordOrderings[Math.floor(random() * chordOrderings.length)];
   
   // Build voicing with close spacing - each note 3rd or 4th apart
   const voicing = [];
@@ -1806,9 +3318,10 @@ function generate3NoteChordVoicing(chordNotes, octaveOffset, maxOctavesLower) {
  * @param {object[]} availableDurations - Available note durations
  * @param {string} key - Musical key for harmonic context
  * @param {string} selectedChordType - Selected chord type ('major', '7th')
+ * @param {Object} meterGrid - Optional beat positions from getMeterGrid for placing durations
  * @returns {string} ABC notation for right-hand 4-note chord measure
  */
-function generateRightHand4NoteChords(startIndex, lowestIndex, octaveOffset, highestIndex, maxOctavesLower, chordNotes, totalBeatsPerMeasure, intervals, availableDurations, key, selectedChordType) {
+function generateRightHand4NoteChords(startIndex, lowestIndex, octaveOffset, highestIndex, maxOctavesLower, chordNotes, totalBeatsPerMeasure, intervals, availableDurations, key, selectedChordType, meterGrid = null) {
   let measure = '';
   let beatsUsed = 0;
   
@@ -1821,19 +3334,17 @@ function generateRightHand4NoteChords(startIndex, lowestIndex, octaveOffset, hig
     
     // Select duration that fits in remaining beats
     const remainingBeats = totalBeatsPerMeasure - beatsUsed;
-    const validDurations = availableDurations.filter(d => d.beats <= remainingBeats);
+    const validDurations = getPlaceableDurations(availableDurations, beatsUsed, remainingBeats, meterGrid);
     
     if (validDurations.length === 0) {
-      const shortestDuration = availableDurations.reduce((shortest, current) => 
-        current.beats < shortest.beats ? current : shortest
-      );
-      
-      measure += `[${chordVoicing.join('')}]${shortestDuration.abcNotation}`;
-      beatsUsed += shortestDuration.beats;
+      if (measure && !measure.endsWith(' ')) {
+        measure += ' ';
+      }
+      measure += restForRemainingBeats(beatsUsed, remainingBeats, meterGrid);
       break;
     }
     
-    const selectedDuration = validDurations[Math.floor(Math.random() * validDurations.length)];
+    const selectedDuration = validDurations[Math.floor(random() * validDurations.length)];
     
     // Add 4-note chord to measure
     measure += `[${chordVoicing.join('')}]${selectedDuration.abcNotation}`;
@@ -1897,7 +3408,7 @@ function generate4NoteChordVoicing(chordNotes, octaveOffset, maxOctavesLower, ch
   ];
   
   // Randomly select a chord ordering
-  const selectedOrdering = chordOrderings[Math.floor(Math.random() * chordOrderings.length)];
+  const selectedOrdering = chordOrderings[Math.floor(random() * chordOrderings.length)];
   
   // Build voicing with close spacing - each note 2nd-4th apart
   const voicing = [];
@@ -1950,4 +3461,1218 @@ function generate4NoteChordVoicing(chordNotes, octaveOffset, maxOctavesLower, ch
   }
   
   return voicing;
-}
\ No newline at end of file
+}
+/**
+ * Semitone intervals above the root for each chord practice quality
+ */
+const CHORD_TYPE_INTERVALS = {
+  'major': [0, 4, 7],
+  'minor': [0, 3, 7],
+  'diminished': [0, 3, 6],
+  'augmented': [0, 4, 8],
+  '7th': [0, 4, 7, 10],
+  'minor7th': [0, 3, 7, 10],
+  'major7th': [0, 4, 7, 11],
+  'diminished7th': [0, 3, 6, 9],
+  'halfDiminished7th': [0, 3, 6, 10]
+};
+
+/**
+ * Build a correctly spelled chord on a root note
+ * Chord tones are stacked in thirds so every tone keeps its letter (e.g., C augmented is C-E-G#, not C-E-Ab)
+ * @param {string} rootNote - Root note name (e.g., 'C', 'F#', 'Bb')
+ * @param {string} chordType - Chord type id from AVAILABLE_CHORD_TYPES
+ * @returns {string[]} Spelled chord note names from the root upwards
+ */
+function buildChordTones(rootNote, chordType) {
+  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const naturalSemitones = [0, 2, 4, 5, 7, 9, 11];
+  const intervals = CHORD_TYPE_INTERVALS[chordType] || CHORD_TYPE_INTERVALS['major'];
+
+  const rootLetterIndex = notes.indexOf(rootNote.charAt(0));
+  const rootAlteration = (rootNote.match(/#/g) || []).length - (rootNote.slice(1).match(/b/g) || []).length;
+  const rootSemitone = naturalSemitones[rootLetterIndex] + rootAlteration;
+
+  return intervals.map((interval, i) => {
+    const letterIndex = (rootLetterIndex + i * 2) % 7;
+    // Wrap the difference into -6..5 so e.g. B# (0 - 11) reads as +1 rather than -11
+    const alteration = ((rootSemitone + interval - naturalSemitones[letterIndex]) % 12 + 18) % 12 - 6;
+    const accidental = alteration > 0 ? '#'.repeat(alteration) : 'b'.repeat(-alteration);
+    return notes[letterIndex] + accidental;
+  });
+}
+
+/**
+ * Arrange chord tones into a voicing
+ * @param {string[]} chordTones - Spelled chord tones in root position
+ * @param {string} inversion - Inversion id ('root', 'first', 'second', 'third')
+ * @param {string} voicing - Voicing id ('closed', 'open', 'spread', 'drop2', 'drop3')
+ * @returns {Object[]} Voiced notes sorted low to high, each { index, name } with relative note indices
+ */
+function voiceChord(chordTones, inversion, voicing) {
+  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const inversionSteps = { 'root': 0, 'first': 1, 'second': 2, 'third': 3 };
+  const steps = inversionSteps[inversion] || 0;
+  const rootLetterIndex = notes.indexOf(chordTones[0].charAt(0));
+
+  // Closed position: tones stacked in thirds, lowest tones moved up an octave for inversions
+  let voiced = chordTones.map((name, i) => ({
+    index: rootLetterIndex + i * 2 + (i < steps ? 7 : 0),
+    name
+  }));
+  voiced.sort((a, b) => a.index - b.index);
+
+  const count = voiced.length;
+  switch (voicing) {
+    case 'open':
+      // Raise the second note from the bottom an octave
+      voiced[1] = { ...voiced[1], index: voiced[1].index + 7 };
+      break;
+    case 'drop2':
+      // Drop the second note from the top an octave
+      voiced[count - 2] = { ...voiced[count - 2], index: voiced[count - 2].index - 7 };
+      break;
+    case 'drop3':
+      // Drop the third note from the top an octave
+      voiced[count - 3] = { ...voiced[count - 3], index: voiced[count - 3].index - 7 };
+      break;
+    case 'spread':
+      // Bass note an octave lower and the next note an octave higher
+      voiced[0] = { ...voiced[0], index: voiced[0].index - 7 };
+      voiced[1] = { ...voiced[1], index: voiced[1].index + 7 };
+      break;
+    default: // 'closed'
+      break;
+  }
+
+  return voiced.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Add accidentals to a measure wherever chord tones differ from the key signature
+ * Accidentals carry through the bar, so later notes are only marked when they change again.
+ * Notes that already carry an explicit accidental, and letters that are not chord tones, are left as they are.
+ * @param {string} measure - ABC measure string (e.g., '[CEG]8|')
+ * @param {string[]} chordTones - Spelled chord tones (e.g., ['C', 'E', 'G#'])
+ * @param {string} key - Musical key
+ * @returns {string} ABC measure with accidentals
+ */
+function applyChordAccidentals(measure, chordTones, key) {
+  const keyAccidentals = getKeySignatureAccidentals(key);
+  const chordAlterations = {};
+  chordTones.forEach(note => {
+    chordAlterations[note.charAt(0)] = (note.match(/#/g) || []).length - (note.slice(1).match(/b/g) || []).length;
+  });
+
+  const barAccidentals = {};
+  const accidentalValues = { '^': 1, '^^': 2, '_': -1, '__': -2, '=': 0 };
+
+  // Decorations ("!accent!") and annotations are skipped so their letters are not read as notes
+  return measure.replace(/(![^!]*!|"[^"]*")|([_^=]*)([A-Ga-g])([,']*)/g, (match, skipped, accidental, letter, octaveMarks) => {
+    if (skipped) return match;
+
+    const pitchKey = letter + octaveMarks;
+    if (accidental) {
+      barAccidentals[pitchKey] = accidentalValues[accidental];
+      return match;
+    }
+
+    const upperLetter = letter.toUpperCase();
+    if (!(upperLetter in chordAlterations)) return match;
+
+    const wanted = chordAlterations[upperLetter];
+    const current = pitchKey in barAccidentals ? barAccidentals[pitchKey] : keyAccidentals[upperLetter];
+    if (wanted === current) return match;
+
+    barAccidentals[pitchKey] = wanted;
+    const prefix = wanted > 0 ? '^'.repeat(wanted) : wanted < 0 ? '_'.repeat(-wanted) : '=';
+    return prefix + letter + octaveMarks;
+  });
+}
+
+/**
+ * Comping rhythm templates for chord practice, keyed by style and time signature
+ * Each template lists durations in eighth note units; negative values are rests.
+ * Syncopated hits are written as plain durations and tied at beat boundaries when notated.
+ */
+const CHORD_RHYTHM_TEMPLATES = {
+  'straight': {
+    '4/4': [[2, 2, 2, 2], [4, 4], [4, 2, 2]],
+    '3/4': [[2, 2, 2], [4, 2]],
+    '2/4': [[2, 2], [4]],
+    '5/4': [[2, 2, 2, 2, 2]],
+    '6/4': [[2, 2, 2, 2, 2, 2], [6, 6]],
+    '6/8': [[3, 3]],
+    '12/8': [[3, 3, 3, 3]],
+    '3/8': [[3]],
+    '2/2': [[4, 4]],
+    '3/2': [[4, 4, 4]],
+    '4/2': [[4, 4, 4, 4]]
+  },
+  'swing': {
+    '4/4': [[3, 5], [-2, 2, -2, 2], [2, -1, 3, 2], [-1, 3, -2, 2]],
+    '3/4': [[2, -1, 3], [-2, 2, 2]],
+    '2/4': [[3, 1], [-2, 2]],
+    '12/8': [[-3, 3, -3, 3], [3, -2, 7]],
+    '2/2': [[3, 5], [-2, 2, -2, 2]]
+  },
+  'bossa-nova': {
+    '4/4': [[3, 3, 2], [2, -1, 3, 2], [-1, 3, -1, 3]],
+    '2/4': [[3, 1], [1, 2, 1]],
+    '2/2': [[3, 3, 2], [2, -1, 3, 2]]
+  },
+  'jazz-waltz': {
+    '3/4': [[-2, 2, 2], [3, 3], [2, -1, 3], [2, -2, 2]],
+    '6/8': [[3, 3], [-3, 3]]
+  },
+  'latin': {
+    '4/4': [[-3, 3, 2], [3, 3, 2], [2, 1, 3, 2], [1, 2, 1, 2, 2]],
+    '2/4': [[1, 2, 1], [3, 1]],
+    '2/2': [[3, 3, 2], [-3, 3, 2]]
+  },
+  'ballad': {
+    '4/4': [[8], [4, 4], [6, 2]],
+    '3/4': [[6], [4, 2]],
+    '2/4': [[4]],
+    '6/8': [[6], [3, 3]],
+    '12/8': [[12], [6, 6]],
+    '2/2': [[8], [4, 4]]
+  }
+};
+
+/**
+ * Check whether a rhythm template fills exactly one measure
+ * @param {number[]} template - Durations in eighth note units (negative for rests)
+ * @param {number} totalBeatsPerMeasure - Total beats in measure
+ * @returns {boolean} True if the template fits the measure
+ */
+function rhythmTemplateFitsMeasure(template, totalBeatsPerMeasure) {
+  const totalDuration = template.reduce((sum, value) => sum + Math.abs(value), 0);
+  return template.length > 0 && totalDuration === totalBeatsPerMeasure;
+}
+
+/**
+ * Pick a comping rhythm template for the selected styles
+ * Straight rhythm in a meter without a template strikes the chord on every beat, and so do
+ * other styles without a template for the time signature (with a visible warning).
+ * @param {string[]} chordRhythms - Selected chord rhythm style IDs
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
+ * @param {number} totalBeatsPerMeasure - Total beats in measure
+ * @returns {number[]} Rhythm template in eighth note units
+ */
+function getChordRhythmTemplate(chordRhythms, timeSignature, totalBeatsPerMeasure) {
+  const style = chordRhythms && chordRhythms.length > 0
+    ? chordRhythms[Math.floor(random() * chordRhythms.length)]
+    : 'straight';
+
+  const fits = template => rhythmTemplateFitsMeasure(template, totalBeatsPerMeasure);
+  const everyBeat = [getBeatGrouping(timeSignature).beats];
+
+  let templates = ((CHORD_RHYTHM_TEMPLATES[style] || {})[timeSignature] || (style === 'straight' ? everyBeat : [])).filter(fits);
+  if (templates.length === 0) {
+    const styleInfo = AVAILABLE_CHORD_RHYTHMS.find(rhythm => rhythm.id === style);
+    addGenerationWarning(`${styleInfo ? styleInfo.label : style} chord rhythm does not fit ${timeSignature}, using one chord per beat`);
+    templates = everyBeat.filter(fits);
+  }
+  if (templates.length === 0) {
+    addGenerationWarning(`Chord rhythms do not fit ${timeSignature}, using one chord per measure`);
+    return [totalBeatsPerMeasure];
+  }
+
+  return templates[Math.floor(random() * templates.length)];
+}
+
+/**
+ * Get the beat grouping of a time signature (see METER_BEAT_GROUPINGS)
+ * A chosen grouping of an asymmetric meter replaces the default and stresses every
+ * beat; meters without an entry get even beats under a single stress.
+ * @param {string} timeSignature - Time signature (e.g., '4/4', '7/8')
+ * @param {string} beatGrouping - Optional grouping from AVAILABLE_BEAT_GROUPINGS (e.g., '3+2+2')
+ * @returns {Object} { beats, groups } with beat lengths in eighth note units
+ */
+function getBeatGrouping(timeSignature, beatGrouping = selectedBeatGrouping) {
+  const choices = AVAILABLE_BEAT_GROUPINGS[timeSignature] || [];
+  if (beatGrouping && choices.some(choice => choice.value === beatGrouping) && beatGrouping !== choices[0].value) {
+    const beats = beatGrouping.split('+').map(Number);
+    return { beats, groups: beats.map(() => 1) };
+  }
+
+  if (METER_BEAT_GROUPINGS[timeSignature]) {
+    return METER_BEAT_GROUPINGS[timeSignature];
+  }
+
+  const [beatsPerMeasure, beatUnit] = timeSignature.split('/').map(Number);
+  const beatLength = beatUnit === 8 ? (beatsPerMeasure % 3 === 0 ? 3 : 1) : 8 / beatUnit;
+  const numBeats = (beatsPerMeasure * 8) / beatUnit / beatLength;
+  return { beats: new Array(numBeats).fill(beatLength), groups: [numBeats] };
+}
+
+/**
+ * Plan the time signature of every measure of an exercise that changes meter
+ * The exercise starts with two or three bars of its own meter, moves to a related
+ * meter for a bar or two and comes back, ending in its own meter.
+ * @param {string} timeSignature - Time signature of the exercise (e.g., '4/4')
+ * @param {number} numMeasures - Number of measures
+ * @returns {string[]} Time signature of each measure
+ */
+function planMeterChanges(timeSignature, numMeasures) {
+  const partners = METER_CHANGE_PARTNERS[timeSignature] || [];
+  if (partners.length === 0) {
+    addGenerationWarning(`Meter changes are not available in ${timeSignature}`);
+    return new Array(numMeasures).fill(timeSignature);
+  }
+
+  const meters = [];
+  let inOwnMeter = true;
+  while (meters.length < numMeasures) {
+    const meter = inOwnMeter ? timeSignature : partners[Math.floor(random() * partners.length)];
+    const runLength = inOwnMeter ? 2 + Math.floor(random() * 2) : 1 + Math.floor(random() * 2);
+    for (let i = 0; i < runLength && meters.length < numMeasures; i++) {
+      meters.push(meter);
+    }
+    inOwnMeter = !inOwnMeter;
+  }
+  meters[numMeasures - 1] = timeSignature;
+
+  return meters;
+}
+
+/**
+ * Plan the clef of each staff for an exercise with clef changes
+ * One hand at a time crosses for a passage of a bar or two: the left hand climbs into
+ * treble clef or the right hand dips into bass clef. The first and last measures keep
+ * the usual clefs.
+ * @param {number} numMeasures - Number of measures
+ * @returns {Object} { trebleClefs, bassClefs } - clef of the upper and lower staff in each measure
+ */
+function planClefChanges(numMeasures) {
+  const trebleClefs = new Array(numMeasures).fill('treble');
+  const bassClefs = new Array(numMeasures).fill('bass');
+
+  let leftHandCrosses = random() < 0.5;
+  let measure = 1 + Math.floor(random() * 2);
+  while (measure < numMeasures - 1) {
+    const passageLength = Math.min(1 + Math.floor(random() * 2), numMeasures - 1 - measure);
+    if (leftHandCrosses) {
+      bassClefs.fill('treble', measure, measure + passageLength);
+    } else {
+      trebleClefs.fill('bass', measure, measure + passageLength);
+    }
+    leftHandCrosses = !leftHandCrosses;
+    measure += passageLength + 1 + Math.floor(random() * 2);
+  }
+
+  return { trebleClefs, bassClefs };
+}
+
+/**
+ * Plan the phrases of a phrased melody as antecedent and consequent pairs
+ * Phrases alternate between a half cadence (the antecedent's question) and an authentic
+ * cadence (the consequent's answer); the last phrase always closes with an authentic
+ * cadence and takes any measures left over after the last full phrase.
+ * @param {number} numMeasures - Number of measures (at least phraseLength)
+ * @param {number} phraseLength - Measures per phrase (2 or 4)
+ * @returns {Object[]} Phrases { start, length, cadence } - cadence is 'half' or 'authentic'
+ */
+function planPhrases(numMeasures, phraseLength) {
+  const phraseCount = Math.floor(numMeasures / phraseLength);
+  return Array.from({ length: phraseCount }, (_, i) => {
+    const isLastPhrase = i === phraseCount - 1;
+    return {
+      start: i * phraseLength,
+      length: isLastPhrase ? numMeasures - i * phraseLength : phraseLength,
+      cadence: isLastPhrase || i % 2 === 1 ? 'authentic' : 'half'
+    };
+  });
+}
+
+/**
+ * Get the positions of the beats and beat groups of a time signature
+ * @param {string} timeSignature - Time signature (e.g., '4/4', '6/8')
+ * @param {string} beatGrouping - Optional grouping of an asymmetric meter (e.g., '3+2+2')
+ * @returns {Object} { beatLength, beatStarts, groupStarts, barLength } in eighth note units;
+ *   beatLength is 1 when the beats are of unequal length
+ */
+function getMeterGrid(timeSignature, beatGrouping = selectedBeatGrouping) {
+  const { beats, groups } = getBeatGrouping(timeSignature, beatGrouping);
+
+  const beatStarts = [];
+  let position = 0;
+  beats.forEach(beat => {
+    beatStarts.push(position);
+    position += beat;
+  });
+
+  const groupStarts = [];
+  let beatIndex = 0;
+  groups.forEach(groupSize => {
+    groupStarts.push(beatStarts[beatIndex]);
+    beatIndex += groupSize;
+  });
+
+  const beatLength = beats.every(beat => beat === beats[0]) ? beats[0] : 1;
+  return { beatLength, beatStarts, groupStarts, barLength: position };
+}
+
+/**
+ * Get the beat length of a time signature in eighth note units
+ * @param {string} timeSignature - Time signature (e.g., '4/4', '6/8')
+ * @returns {number} Eighth notes per beat (3 for compound meters)
+ */
+function getBeatLengthInEighths(timeSignature) {
+  return getMeterGrid(timeSignature).beatLength;
+}
+
+/**
+ * Get the beats that playback counts in a time signature
+ * abcjs counts a dotted quarter in 6/8, 9/8 and 12/8 (a dotted half in 6/4) and the
+ * written unit otherwise, so an eighth in 5/8 and 7/8. A beat grouping that does not
+ * line up with those beats needs several beat callbacks per beat to click on time.
+ * @param {string} timeSignature - Time signature (e.g., '4/4', '7/8')
+ * @param {string} beatGrouping - Optional grouping of an asymmetric meter (e.g., '3+2+2')
+ * @returns {Object} { eighthsPerBeat, beatsPerMeasure, beatSubdivisions }
+ */
+export function getPlaybackBeats(timeSignature, beatGrouping = null) {
+  const [beatsPerMeasure, beatUnit] = timeSignature.split('/').map(Number);
+  const isCompound = [6, 9, 12].includes(beatsPerMeasure) || (beatsPerMeasure === 3 && beatUnit === 8);
+  const eighthsPerBeat = ((isCompound ? 3 : 1) * 8) / beatUnit;
+
+  const { beatStarts } = getMeterGrid(timeSignature, beatGrouping);
+  let beatSubdivisions = 1;
+  while (beatStarts.some(beatStart => !Number.isInteger((beatStart * beatSubdivisions) / eighthsPerBeat))) {
+    beatSubdivisions++;
+  }
+
+  return { eighthsPerBeat, beatsPerMeasure: (beatsPerMeasure * 8) / beatUnit / eighthsPerBeat, beatSubdivisions };
+}
+
+/**
+ * Get the metronome click for a playback beat, one per beat of the beat grouping
+ * @param {string} timeSignature - Time signature (e.g., '4/4', '7/8')
+ * @param {number} beatNumber - Playback beat (fractional between beat callbacks)
+ * @param {string} beatGrouping - Optional grouping of an asymmetric meter (e.g., '3+2+2')
+ * @param {number} pickupOffset - Eighth notes of the bar before a pickup (0 for none)
+ * @param {string[]} measureMeters - Optional time signature of each measure when the meter changes
+ *   (as returned by generateRandomABC); the count carries on in the last meter after the final measure
+ * @returns {string|null} 'downbeat', 'accent' on the other metric stresses, 'beat', or null between beats
+ */
+export function getMetronomeClick(timeSignature, beatNumber, beatGrouping = null, pickupOffset = 0, measureMeters = null) {
+  const { eighthsPerBeat } = getPlaybackBeats(timeSignature, beatGrouping);
+  let position = Math.round((beatNumber * eighthsPerBeat + pickupOffset) * 1000) / 1000;
+
+  // Walk through the measures to the one the beat falls in
+  let meter = timeSignature;
+  for (const measureMeter of measureMeters || []) {
+    meter = measureMeter;
+    const measureLength = getMeterGrid(measureMeter, beatGrouping).barLength;
+    if (position < measureLength) break;
+    position -= measureLength;
+  }
+
+  const { beatStarts, groupStarts, barLength } = getMeterGrid(meter, beatGrouping);
+  position %= barLength;
+
+  if (!beatStarts.includes(position)) {
+    return null;
+  }
+  if (position === 0) {
+    return 'downbeat';
+  }
+  return groupStarts.includes(position) ? 'accent' : 'beat';
+}
+
+/**
+ * Find the beat a note hides by sounding into the next beat without ending on one,
+ * where the beats are dotted (a half note on beat one of 6/8) or of unequal length
+ * (a dotted quarter on beat one of 2+2+3 7/8). Simple meters keep their dotted rhythms.
+ * @param {number} position - Start position in eighth note units
+ * @param {number} duration - Duration in eighth note units
+ * @param {Object} meterGrid - Beat positions from getMeterGrid
+ * @returns {number|null} Position of the hidden beat, or null
+ */
+function findHiddenBeat(position, duration, meterGrid) {
+  const { beatLength, beatStarts, barLength } = meterGrid;
+  const end = position + duration;
+  const beatIndex = beatStarts.filter(beatStart => beatStart <= position).length - 1;
+  const nextBeat = beatIndex + 1 < beatStarts.length ? beatStarts[beatIndex + 1] : barLength;
+
+  const isDottedOrUneven = nextBeat - beatStarts[beatIndex] === 3 || beatLength === 1;
+  if (!isDottedOrUneven || end <= nextBeat || end === barLength || beatStarts.includes(end)) {
+    return null;
+  }
+  return nextBeat;
+}
+
+/**
+ * Check whether a note would hide the beat grouping of the bar
+ * Notes starting inside a beat group may not sound into the next group (notes on
+ * the downbeat may, like a dotted half on beat one of 4/4), and notes in compound
+ * or uneven beats may not hide the next beat.
+ * @param {number} position - Start position in eighth note units
+ * @param {number} duration - Duration in eighth note units
+ * @param {Object} meterGrid - Beat positions from getMeterGrid
+ * @returns {boolean} Whether the note crosses the grouping
+ */
+function crossesBeatGroup(position, duration, meterGrid) {
+  const crossesGroup = position !== 0 &&
+    meterGrid.groupStarts.some(groupStart => position < groupStart && position + duration > groupStart);
+  return crossesGroup || findHiddenBeat(position, duration, meterGrid) !== null;
+}
+
+/**
+ * Keep the durations that fit the rest of the measure without crossing a beat group
+ * Falls back to every duration that fits when none stays inside the group.
+ * @param {Object[]} availableDurations - Durations { beats, ... } to choose from
+ * @param {number} position - Start position in eighth note units
+ * @param {number} remainingBeats - Eighth notes left in the measure
+ * @param {Object} meterGrid - Beat positions from getMeterGrid, or null to ignore the meter
+ * @returns {Object[]} Durations that can be placed
+ */
+function getPlaceableDurations(availableDurations, position, remainingBeats, meterGrid) {
+  const fitting = availableDurations.filter(d => d.beats <= remainingBeats);
+  if (!meterGrid) {
+    return fitting;
+  }
+  const withinGroup = fitting.filter(d => !crossesBeatGroup(position, d.beats, meterGrid));
+  return withinGroup.length > 0 ? withinGroup : fitting;
+}
+
+/**
+ * Rest for the end of a measure that none of the selected note values fits into
+ * A longer value would overflow the bar, so the gap is filled with rests (one per beat) instead.
+ * @param {number} position - Position in the measure in eighth note units
+ * @param {number} remainingBeats - Eighth notes left in the measure
+ * @param {Object} meterGrid - Beat positions from getMeterGrid (null writes a single rest)
+ * @returns {string} ABC rests (e.g., 'z/2', 'z z/2')
+ */
+function restForRemainingBeats(position, remainingBeats, meterGrid) {
+  addGenerationWarning('The selected note values do not always fill a measure, so some measures end with a rest');
+  const pieces = meterGrid ? splitRhythmAtBeats(position, remainingBeats, meterGrid, true) : [remainingBeats];
+  return pieces.map(piece => `z${formatEighthDuration(piece)}`).join(' ');
+}
+
+/**
+ * Write a duration in eighth note units as an ABC length suffix (L:1/8)
+ * @param {number} duration - Duration in eighth note units (e.g., 0.5, 1, 3)
+ * @returns {string} ABC duration suffix (e.g., '/2', '', '3')
+ */
+function formatEighthDuration(duration) {
+  if (duration === 1) return '';
+  if (Number.isInteger(duration)) return duration.toString();
+  return duration === 0.5 ? '/2' : `${duration * 2}/2`;
+}
+
+/**
+ * Split a note or rest into pieces so syncopations show the beat
+ * Off-beat notes are tied over the next beat, as are notes that would hide a
+ * compound or uneven beat, notes starting inside a beat group are tied where the next group
+ * starts (the middle of a 4/4 bar), rests never cross a beat, and every piece is a
+ * writable note value.
+ * @param {number} start - Start position in eighth note units
+ * @param {number} duration - Duration in eighth note units
+ * @param {Object} meterGrid - Beat positions from getMeterGrid
+ * @param {boolean} isRest - Whether the value is a rest
+ * @returns {number[]} Durations of the pieces
+ */
+function splitRhythmAtBeats(start, duration, meterGrid, isRest = false) {
+  const writableDurations = [16, 12, 8, 6, 4, 3, 2, 1.5, 1, 0.5];
+  const { beatStarts, groupStarts, barLength } = meterGrid;
+  const pieces = [];
+  let position = start;
+  let remaining = duration;
+
+  while (remaining > 0) {
+    let piece = remaining;
+    const nextBeat = beatStarts.find(beatStart => beatStart > position);
+    const nextGroup = groupStarts.find(groupStart => groupStart > position);
+
+    if (isRest) {
+      piece = nextBeat === undefined ? remaining : Math.min(remaining, nextBeat - position);
+    } else if (!beatStarts.includes(position) && nextBeat !== undefined && position + remaining > nextBeat) {
+      piece = nextBeat - position;
+    } else if (findHiddenBeat(position, remaining, meterGrid) !== null) {
+      piece = nextBeat - position;
+    } else if (position !== 0 && nextGroup !== undefined && position + remaining > nextGroup) {
+      piece = nextGroup - position;
+    }
+
+    if (!writableDurations.includes(piece)) {
+      // Prefer values ending on a beat so the tie lands on a beat (4+3 in a 2+2+3 bar of 7/8)
+      const toBeat = writableDurations.find(value => value <= piece && (beatStarts.includes(position + value) || position + value === barLength));
+      piece = toBeat || writableDurations.find(value => value <= piece);
+    }
+    pieces.push(piece);
+    position += piece;
+    remaining -= piece;
+  }
+
+  return pieces;
+}
+
+/**
+ * Lay a chord onto a rhythm template
+ * @param {string} chordAbc - ABC chord without duration (e.g., '[CEG]')
+ * @param {number[]} template - Durations in eighth note units (negative for rests)
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
+ * @returns {string} ABC measure with ties and rests
+ */
+function applyChordRhythm(chordAbc, template, timeSignature) {
+  const meterGrid = getMeterGrid(timeSignature);
+
+  const tokens = [];
+  let position = 0;
+
+  template.forEach(value => {
+    const isRest = value < 0;
+    const pieces = splitRhythmAtBeats(position, Math.abs(value), meterGrid, isRest);
+
+    pieces.forEach((piece, i) => {
+      const durationNotation = formatEighthDuration(piece);
+      const tie = !isRest && i < pieces.length - 1 ? '-' : '';
+      tokens.push((isRest ? 'z' : chordAbc) + durationNotation + tie);
+    });
+
+    position += Math.abs(value);
+  });
+
+  return tokens.join(' ') + '|';
+}
+
+/**
+ * Generate one measure of chord practice for both hands
+ * The right hand comps the chord in the selected quality, inversion, voicing and rhythm.
+ * The left hand plays the selected left-hand pattern on the same chord, or the
+ * bass note when a spread voicing splits the chord between the hands.
+ * @param {string[]} currentChord - Chord from the progression (its root is used)
+ * @param {string[]} nextChord - Chord of the following measure (null for the last measure)
+ * @param {number} totalBeatsPerMeasure - Total beats in measure
+ * @param {Object} chordConfig - { chordTypes, chordInversions, chordVoicings, chordRhythms, timeSignature, leftHandPattern }
+ * @param {Object} patternConfig - Configuration object with intervals, durations, etc.
+ * @param {Object} trebleRangeIndices - Optional treble range constraints { minIndex, maxIndex }
+ * @param {Object} bassRangeIndices - Optional bass range constraints { minIndex, maxIndex }
+ * @returns {Object} { trebleMeasure, bassMeasure }
+ */
+function generateChordPracticeMeasure(currentChord, nextChord, totalBeatsPerMeasure, chordConfig, patternConfig, trebleRangeIndices = null, bassRangeIndices = null) {
+  const { chordTypes, chordInversions, chordVoicings, chordRhythms, timeSignature, leftHandPattern } = chordConfig;
+  const { intervals, availableDurations, key, leftHandBrokenChords } = patternConfig;
+
+  const chordType = chordTypes[Math.floor(random() * chordTypes.length)];
+  const chordTones = buildChordTones(currentChord[0], chordType);
+
+  // Third inversion only exists for 7th chords
+  const inversionSteps = { 'root': 0, 'first': 1, 'second': 2, 'third': 3 };
+  const validInversions = chordInversions.filter(inversion => (inversionSteps[inversion] || 0) < chordTones.length);
+  const inversion = validInversions.length > 0 ? validInversions[Math.floor(random() * validInversions.length)] : 'root';
+  const voicing = chordVoicings[Math.floor(random() * chordVoicings.length)];
+
+  const voiced = voiceChord(chordTones, inversion, voicing);
+  const rightHandNotes = voicing === 'spread' ? voiced.slice(1) : voiced;
+
+  // Shift the right hand so its lowest note sits in the lowest octave of the treble range
+  const trebleMin = trebleRangeIndices ? trebleRangeIndices.minIndex : 0;
+  const shift = Math.ceil((trebleMin - rightHandNotes[0].index) / 7) * 7;
+  const trebleChord = rightHandNotes.map(note => convertNoteIndexToABC(note.index + shift, 0, null)).join('');
+  const rhythmTemplate = getChordRhythmTemplate(chordRhythms, timeSignature, totalBeatsPerMeasure);
+  const trebleMeasure = applyChordAccidentals(applyChordRhythm(`[${trebleChord}]`, rhythmTemplate, timeSignature), chordTones, key);
+
+  let bassMeasure;
+  if (voicing === 'spread') {
+    const bassRange = bassRangeIndices || { minIndex: -12, maxIndex: 0 };
+    const bassIndex = getWalkingBassRootIndex(voiced[0].name, bassRange);
+    bassMeasure = applyChordRhythm(convertNoteIndexToABC(bassIndex, 0, null), [totalBeatsPerMeasure], timeSignature);
+  } else {
+    bassMeasure = generateLeftHandPattern(leftHandPattern, chordTones, totalBeatsPerMeasure, leftHandBrokenChords, intervals, availableDurations, key, bassRangeIndices, nextChord, { timeSignature });
+  }
+
+  return {
+    trebleMeasure,
+    bassMeasure: applyChordAccidentals(bassMeasure, chordTones, key)
+  };
+}
+
+/**
+ * Choose note durations that fill one measure of a scale or arpeggio run
+ * Runs keep one note value per measure when a selected duration divides the measure
+ * evenly without crossing a beat (so compound meters avoid quarter note runs).
+ * @param {Object[]} availableDurations - Available note durations
+ * @param {number} totalBeatsPerMeasure - Total beats in measure
+ * @param {number} beatLength - Beat length in eighth note units
+ * @returns {number[]} Durations in eighth note units (negative for a closing rest)
+ */
+function chooseRunRhythm(availableDurations, totalBeatsPerMeasure, beatLength) {
+  const evenDurations = availableDurations.filter(d =>
+    totalBeatsPerMeasure % d.beats === 0 && (beatLength % d.beats === 0 || d.beats % beatLength === 0)
+  );
+  if (evenDurations.length > 0) {
+    const selectedDuration = evenDurations[Math.floor(random() * evenDurations.length)];
+    return new Array(totalBeatsPerMeasure / selectedDuration.beats).fill(selectedDuration.beats);
+  }
+
+  // No single value fits evenly: mix the selected durations and rest for whatever is left
+  const rhythm = [];
+  let beatsUsed = 0;
+  while (beatsUsed < totalBeatsPerMeasure) {
+    const validDurations = availableDurations.filter(d => d.beats <= totalBeatsPerMeasure - beatsUsed);
+    if (validDurations.length === 0) {
+      rhythm.push(-(totalBeatsPerMeasure - beatsUsed));
+      break;
+    }
+    const selectedDuration = validDurations[Math.floor(random() * validDurations.length)];
+    rhythm.push(selectedDuration.beats);
+    beatsUsed += selectedDuration.beats;
+  }
+  return rhythm;
+}
+
+/**
+ * Build a scale line that runs up and down between the tonic and the top note
+ * Each run is either stepwise or in broken thirds, and the line may turn around
+ * with a neighbor note above the top or below the tonic.
+ * @param {number} tonicIndex - Note index of the lowest tonic
+ * @param {number} octaves - Number of octaves to span
+ * @param {number} noteCount - Minimum number of notes needed
+ * @param {Object} lineRange - Range constraints { minIndex, maxIndex }
+ * @returns {number[]} Note indices
+ */
+function buildScaleLine(tonicIndex, octaves, noteCount, lineRange) {
+  const topIndex = tonicIndex + octaves * 7;
+  const stepsUp = [];
+  for (let index = tonicIndex; index <= topIndex; index++) {
+    stepsUp.push(index);
+  }
+  const thirdsUp = [];
+  for (let index = tonicIndex; index <= topIndex - 2; index++) {
+    thirdsUp.push(index, index + 2);
+  }
+  thirdsUp.push(topIndex);
+
+  let ascending = random() < 0.5;
+  const line = ascending ? [tonicIndex] : [topIndex];
+
+  while (line.length < noteCount) {
+    const run = random() < 0.5 ? stepsUp : thirdsUp;
+    const directedRun = ascending ? run : [...run].reverse();
+    line.push(...directedRun.slice(1));
+
+    // Turnaround: step past the end of the run and come back
+    const neighbor = ascending ? topIndex + 1 : tonicIndex - 1;
+    if (random() < 0.5 && neighbor >= lineRange.minIndex && neighbor <= lineRange.maxIndex) {
+      line.push(neighbor, ascending ? topIndex : tonicIndex);
+    }
+    ascending = !ascending;
+  }
+
+  return line;
+}
+
+/**
+ * Build an arpeggio line on the tonic triad that runs up and down the given octaves
+ * @param {number} tonicIndex - Note index of the lowest tonic
+ * @param {number} octaves - Number of octaves to span (1-4)
+ * @param {number} noteCount - Minimum number of notes needed
+ * @returns {number[]} Note indices
+ */
+function buildArpeggioLine(tonicIndex, octaves, noteCount) {
+  const arpeggioUp = [];
+  for (let octave = 0; octave < octaves; octave++) {
+    const octaveTonic = tonicIndex + octave * 7;
+    arpeggioUp.push(octaveTonic, octaveTonic + 2, octaveTonic + 4);
+  }
+  arpeggioUp.push(tonicIndex + octaves * 7);
+  const arpeggioDown = [...arpeggioUp].reverse();
+
+  let ascending = true;
+  const line = [tonicIndex];
+  while (line.length < noteCount) {
+    line.push(...(ascending ? arpeggioUp : arpeggioDown).slice(1));
+    ascending = !ascending;
+  }
+
+  return line;
+}
+
+/**
+ * Write one voice of a measure from note events, beamed by beat
+ * Events with an alteration get accidentals wherever they differ from the key
+ * signature or an earlier accidental in the bar, which also cancels them again.
+ * @param {Object[]} events - Measure events { index, duration, alteration? }, index is null for rests
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
+ * @param {Object} keyAccidentals - Optional key signature alterations by letter
+ * @returns {string} ABC measure
+ */
+function renderVoiceEvents(events, timeSignature, keyAccidentals = null) {
+  const meterGrid = getMeterGrid(timeSignature);
+  const totalBeats = events.reduce((sum, event) => sum + event.duration, 0);
+
+  if (events.every(event => event.index === null)) {
+    return generateRestMeasure(totalBeats);
+  }
+
+  // Merge neighbouring rests so they can be rewritten beat by beat
+  const merged = [];
+  events.forEach(event => {
+    const previous = merged[merged.length - 1];
+    if (event.index === null && previous && previous.index === null) {
+      previous.duration += event.duration;
+    } else {
+      merged.push({ ...event });
+    }
+  });
+
+  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const barAccidentals = {};
+  let measure = '';
+  let position = 0;
+  merged.forEach(event => {
+    const pieces = event.index === null
+      ? splitRhythmAtBeats(position, event.duration, meterGrid, true)
+      : [event.duration];
+
+    let accidental = '';
+    if (event.index !== null && keyAccidentals && event.alteration !== undefined) {
+      const letter = notes[((event.index % 7) + 7) % 7];
+      const current = event.index in barAccidentals ? barAccidentals[event.index] : keyAccidentals[letter];
+      if (event.alteration !== current) {
+        accidental = event.alteration > 0 ? '^'.repeat(event.alteration) : event.alteration < 0 ? '_'.repeat(-event.alteration) : '=';
+        barAccidentals[event.index] = event.alteration;
+      }
+    }
+
+    pieces.forEach(piece => {
+      const note = event.index === null ? 'z' : accidental + convertNoteIndexToABC(event.index, 0, null);
+      measure += note + formatEighthDuration(piece);
+      position += piece;
+      // Break beams at each beat so runs group by beat
+      if (meterGrid.beatStarts.includes(position) && position < totalBeats) {
+        measure += ' ';
+      }
+    });
+  });
+
+  return measure + '|';
+}
+
+/**
+ * Generate scale or arpeggio runs across the grand staff
+ * The run is one line: notes from the bottom of the treble range upwards are
+ * written in the treble staff and lower notes in the bass staff. Scales span one
+ * or two octaves and arpeggios one to four, as far as the note ranges allow.
+ * @param {string} melodicPattern - 'scales' or 'arpeggios'
+ * @param {string} key - Musical key
+ * @param {number} numMeasures - Number of measures
+ * @param {number} totalBeatsPerMeasure - Total beats in measure
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
+ * @param {Object[]} availableDurations - Available note durations
+ * @param {Object} trebleRangeIndices - Optional treble range constraints { minIndex, maxIndex }
+ * @param {Object} bassRangeIndices - Optional bass range constraints { minIndex, maxIndex }
+ * @param {string} minorMode - Minor mode for minor key scales ('natural', 'harmonic', 'melodic')
+ * @returns {Object} { trebleMeasures, bassMeasures }
+ */
+function generateRunMeasures(melodicPattern, key, numMeasures, totalBeatsPerMeasure, timeSignature, availableDurations, trebleRangeIndices = null, bassRangeIndices = null, minorMode = 'natural') {
+  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const isMinorKey = key.includes('m');
+  const scaleDegrees = (isMinorKey ? MINOR_SCALE_DEGREES[key] : MAJOR_SCALE_DEGREES[key]) || MAJOR_SCALE_DEGREES['C'];
+  const tonicLetterIndex = notes.indexOf(scaleDegrees[0].charAt(0));
+
+  // Default to C2-C6 across both staves
+  const trebleRange = trebleRangeIndices || { minIndex: 0, maxIndex: 14 };
+  const bassRange = bassRangeIndices || { minIndex: -14, maxIndex: 0 };
+  const lineRange = { minIndex: bassRange.minIndex, maxIndex: trebleRange.maxIndex };
+
+  // Every tonic position with room for at least one octave above it
+  const tonicPositions = [];
+  for (let index = lineRange.minIndex; index + 7 <= lineRange.maxIndex; index++) {
+    if (((index % 7) + 7) % 7 === tonicLetterIndex) {
+      tonicPositions.push(index);
+    }
+  }
+  if (tonicPositions.length === 0) {
+    tonicPositions.push(trebleRange.minIndex + ((tonicLetterIndex - trebleRange.minIndex) % 7 + 7) % 7);
+  }
+
+  const maxOctaves = melodicPattern === 'arpeggios' ? 4 : 2;
+  const availableOctaves = Math.max(1, Math.min(maxOctaves, tonicPositions.length));
+  const octaves = 1 + Math.floor(random() * availableOctaves);
+  const startPositions = tonicPositions.slice(0, Math.max(1, tonicPositions.length - octaves + 1));
+
+  // Keep the run on one staff when it fits there, only crossing staves for wide runs
+  const fitsRange = (index, range) => index >= range.minIndex && index + octaves * 7 <= range.maxIndex;
+  const singleStaffPositions = startPositions.filter(index => fitsRange(index, trebleRange) || fitsRange(index, bassRange));
+  const candidatePositions = singleStaffPositions.length > 0 ? singleStaffPositions : startPositions;
+  const tonicIndex = candidatePositions[Math.floor(random() * candidatePositions.length)];
+
+  const rhythms = [];
+  for (let i = 0; i < numMeasures; i++) {
+    rhythms.push(chooseRunRhythm(availableDurations, totalBeatsPerMeasure, getBeatLengthInEighths(timeSignature)));
+  }
+  const noteCount = rhythms.reduce((sum, rhythm) => sum + rhythm.filter(value => value > 0).length, 0);
+
+  const line = melodicPattern === 'arpeggios'
+    ? buildArpeggioLine(tonicIndex, octaves, noteCount)
+    : buildScaleLine(tonicIndex, octaves, noteCount, lineRange);
+
+  // End the exercise on the tonic closest to where the line arrives
+  if (noteCount > 1) {
+    const arrival = line[noteCount - 2];
+    const octaveOfArrival = Math.round((arrival - tonicIndex) / 7);
+    line[noteCount - 1] = tonicIndex + Math.max(0, Math.min(octaves, octaveOfArrival)) * 7;
+  }
+
+  // A run that fits one staff stays there; wider runs change staff at the bottom of the treble range
+  const lineBottom = Math.min(...line.slice(0, noteCount));
+  const lineTop = Math.max(...line.slice(0, noteCount));
+  const isOnTreble = noteIndex => {
+    if (lineBottom >= trebleRange.minIndex && lineTop <= trebleRange.maxIndex) return true;
+    if (lineBottom >= bassRange.minIndex && lineTop <= bassRange.maxIndex) return false;
+    return noteIndex >= trebleRange.minIndex;
+  };
+
+  // Minor scales raise their 6th and 7th degrees per mode; melodic minor only on the way up
+  const raisedDegrees = isMinorKey && melodicPattern === 'scales' ? (MINOR_MODE_RAISED_DEGREES[minorMode] || []) : [];
+  const keyAccidentals = raisedDegrees.length > 0 ? getKeySignatureAccidentals(key) : null;
+  const alterationAt = position => {
+    const noteIndex = line[position];
+    const letter = notes[((noteIndex % 7) + 7) % 7];
+    const degree = ((noteIndex - tonicLetterIndex) % 7 + 7) % 7;
+    // Direction of the run two notes on, so broken thirds follow the run rather than each step
+    const direction = Math.sign((line[position + 2] ?? noteIndex) - noteIndex) ||
+      Math.sign(position + 1 < noteCount ? line[position + 1] - noteIndex : noteIndex - line[position - 1]);
+    const isRaised = raisedDegrees.includes(degree) && (minorMode !== 'melodic' || direction > 0);
+    return keyAccidentals[letter] + (isRaised ? 1 : 0);
+  };
+
+  const trebleMeasures = [];
+  const bassMeasures = [];
+  let lineIndex = 0;
+
+  rhythms.forEach(rhythm => {
+    const trebleEvents = [];
+    const bassEvents = [];
+    rhythm.forEach(value => {
+      if (value < 0) {
+        trebleEvents.push({ index: null, duration: -value });
+        bassEvents.push({ index: null, duration: -value });
+        return;
+      }
+      const alteration = keyAccidentals ? alterationAt(lineIndex) : undefined;
+      const noteIndex = line[lineIndex++];
+      const onTreble = isOnTreble(noteIndex);
+      trebleEvents.push({ index: onTreble ? noteIndex : null, duration: value, alteration });
+      bassEvents.push({ index: onTreble ? null : noteIndex, duration: value, alteration });
+    });
+    trebleMeasures.push(renderVoiceEvents(trebleEvents, timeSignature, keyAccidentals));
+    bassMeasures.push(renderVoiceEvents(bassEvents, timeSignature, keyAccidentals));
+  });
+
+  return { trebleMeasures, bassMeasures };
+}
+
+/**
+ * Read an ABC length suffix as eighth note units (L:1/8)
+ * @param {string} durationText - ABC duration suffix (e.g., '', '2', '/2', '3/2')
+ * @returns {number} Duration in eighth note units
+ */
+function parseEighthDuration(durationText) {
+  if (!durationText) return 1;
+  const [numerator, denominator] = durationText.split('/');
+  const value = numerator ? parseInt(numerator) : 1;
+  if (denominator === undefined) return value;
+  return value / (denominator ? parseInt(denominator) : 2);
+}
+
+/**
+ * Read an ABC tuplet marker such as '(3' or '(6:4'
+ * @param {string} marker - Tuplet marker '(p', '(p:q' or '(p:q:r'
+ * @param {boolean} isCompound - Whether the meter is compound (sets the default q for 5, 7 and 9)
+ * @returns {Object} { ratio, noteCount } - the next noteCount notes have their lengths multiplied by ratio
+ */
+function parseTupletMarker(marker, isCompound = false) {
+  const [p, q, r] = marker.slice(1).split(':').map(value => (value ? parseInt(value) : null));
+  const defaultQ = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 }[p] || (isCompound ? 3 : 2);
+  return { ratio: (q || defaultQ) / p, noteCount: r || p };
+}
+
+/**
+ * Find the notes, chords and rests of a generated measure with their positions
+ * @param {string} measure - ABC measure string
+ * @returns {Object[]} Events { index, noteEnd, position, isRest, tiedFromPrevious }
+ */
+function findMeasureEvents(measure) {
+  // Decorations, annotations and inline fields are matched first so they are skipped
+  const eventPattern = /(![^!]*!|"[^"]*"|\[[A-Za-z]:[^\]]*\]|\(\d(?::\d*){0,2})|(\[[^\]]*\]|[_^=]*[A-Ga-g][,']*|[zZ])(\d*(?:\/\d*)?)(-?)/g;
+  const events = [];
+  let position = 0;
+  let tiedFromPrevious = false;
+  let tuplet = { ratio: 1, noteCount: 0 };
+  let match;
+
+  while ((match = eventPattern.exec(measure)) !== null) {
+    if (match[1]) {
+      if (match[1].startsWith('(')) tuplet = parseTupletMarker(match[1]);
+      continue;
+    }
+
+    events.push({
+      index: match.index,
+      noteEnd: match.index + match[2].length + match[3].length,
+      position,
+      isRest: /^[zZ]/.test(match[2]),
+      tiedFromPrevious
+    });
+    tiedFromPrevious = match[4] === '-';
+    position += parseEighthDuration(match[3]) * (tuplet.noteCount > 0 ? tuplet.ratio : 1);
+    tuplet.noteCount--;
+  }
+
+  return events;
+}
+
+/**
+ * Beam a measure by the beat grouping of its time signature
+ * Notes are joined within a beat and separated where a beat starts; decorations,
+ * slurs and tuplet markers stay with the note they belong to.
+ * @param {string} measure - ABC measure string
+ * @param {string} timeSignature - Time signature (e.g., '6/8')
+ * @param {number} offset - Position of the measure's first note in the bar (for a pickup)
+ * @returns {string} Beamed ABC measure
+ */
+function applyBeamGroups(measure, timeSignature, offset = 0) {
+  const { beatStarts } = getMeterGrid(timeSignature);
+
+  // Spaces are only kept inside annotations and inline fields
+  const joined = measure.replace(/("[^"]*"|\[[A-Za-z]:[^\]]*\])|\s+/g, (match, kept) => kept || '');
+
+  const breaks = findMeasureEvents(joined)
+    .filter(event => event.index > 0 && beatStarts.some(beatStart => Math.abs(beatStart - event.position - offset) < 0.001))
+    .map(event => {
+      const prefix = joined.slice(0, event.index).match(/(?:![^!]*!|\(\d(?::\d*){0,2}|[.(~])*$/)[0];
+      return { index: event.index - prefix.length, value: ' ' };
+    })
+    .filter(({ index }) => index > 0);
+
+  return insertAtPositions(joined, breaks);
+}
+
+/**
+ * Insert text into a string at several positions
+ * @param {string} text - Original string
+ * @param {Object[]} insertions - Insertions { index, value }
+ * @returns {string} String with the insertions applied
+ */
+function insertAtPositions(text, insertions) {
+  return [...insertions]
+    .sort((a, b) => b.index - a.index)
+    .reduce((result, { index, value }) => result.slice(0, index) + value + result.slice(index), text);
+}
+
+/**
+ * Apply a melodic articulation to a voice
+ * Legato slurs each two-measure phrase, staccato dots every struck note and
+ * accents mark the notes that fall on metric stresses. Tied continuations are left alone.
+ * @param {string[]} measures - ABC measures of one voice
+ * @param {string} articulation - Articulation ID ('legato', 'staccato', 'accent')
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
+ * @param {number} totalBeatsPerMeasure - Total beats in measure
+ * @param {number} pickupLength - Length of a pickup first measure in eighth notes (0 for none)
+ * @param {string[]} measureMeters - Optional time signature of each measure when the meter changes
+ * @returns {string[]} Articulated ABC measures
+ */
+function applyArticulation(measures, articulation, timeSignature, totalBeatsPerMeasure, pickupLength = 0, measureMeters = null) {
+  const measureEvents = measures.map(measure => findMeasureEvents(measure).filter(event => !event.isRest));
+  const insertions = measures.map(() => []);
+
+  if (articulation === 'legato') {
+    const phraseLength = 2;
+    for (let start = 0; start < measures.length; start += phraseLength) {
+      const phrase = [];
+      for (let i = start; i < Math.min(start + phraseLength, measures.length); i++) {
+        measureEvents[i].forEach(event => phrase.push({ measureIndex: i, event }));
+      }
+      if (phrase.length < 2) continue;
+
+      const first = phrase[0];
+      const last = phrase[phrase.length - 1];
+      insertions[first.measureIndex].push({ index: first.event.index, value: '(' });
+      insertions[last.measureIndex].push({ index: last.event.noteEnd, value: ')' });
+    }
+  } else if (articulation === 'staccato' || articulation === 'accent') {
+    measureEvents.forEach((events, i) => {
+      const stresses = getMeterGrid(measureMeters ? measureMeters[i] : timeSignature).groupStarts;
+      // A pickup is the end of a bar, so its notes fall on the bar's last beat
+      const offset = i === 0 && pickupLength > 0 ? totalBeatsPerMeasure - pickupLength : 0;
+      events
+        .filter(event => !event.tiedFromPrevious)
+        .filter(event => articulation === 'staccato' || stresses.includes(event.position + offset))
+        .forEach(event => {
+          insertions[i].push({ index: event.index, value: articulation === 'staccato' ? '.' : '!accent!' });
+        });
+    });
+  }
+
+  return measures.map((measure, i) => insertAtPositions(measure, insertions[i]));
+}
+
+/**
+ * Add chromatic passing and neighbor tones to a single-note melody measure
+ * A note moving by whole step gets a chromatic passing tone, and a repeated note
+ * gets a chromatic neighbor. The first note gives up half its length, so only notes
+ * of a quarter or longer are split. Measures with chords, ties or decorations are left alone.
+ * @param {string} measure - ABC measure of single notes and rests
+ * @param {string} key - Musical key
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
+ * @returns {string} ABC measure with chromatic tones and accidentals
+ */
+function addChromaticTones(measure, key, timeSignature) {
+  if (/[[\]!(.-]/.test(measure)) {
+    return measure;
+  }
+
+  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const letterAt = index => notes[((index % 7) + 7) % 7];
+  const keyAccidentals = getKeySignatureAccidentals(key);
+  const accidentalValues = { '^': 1, '^^': 2, '_': -1, '__': -2, '=': 0 };
+
+  // Read the measure back into events with sounding alterations
+  const events = [];
+  const barAccidentals = {};
+  const tokenPattern = /(\^{1,2}|_{1,2}|=)?([A-Ga-g])([,']*)(\d*(?:\/\d*)?)|z(\d*(?:\/\d*)?)/g;
+  let match;
+  while ((match = tokenPattern.exec(measure)) !== null) {
+    if (!match[2]) {
+      events.push({ index: null, duration: parseEighthDuration(match[5]) });
+      continue;
+    }
+    const [, accidental, letter, octaveMarks, durationText] = match;
+    const octaveShift = (letter === letter.toLowerCase() ? 7 : 0) +
+      7 * (octaveMarks.match(/'/g) || []).length - 7 * (octaveMarks.match(/,/g) || []).length;
+    const index = notes.indexOf(letter.toUpperCase()) + octaveShift;
+    if (accidental) {
+      barAccidentals[index] = accidentalValues[accidental];
+    }
+    const alteration = index in barAccidentals ? barAccidentals[index] : keyAccidentals[letter.toUpperCase()];
+    events.push({ index, alteration, duration: parseEighthDuration(durationText) });
+  }
+
+  const result = [];
+  events.forEach((event, i) => {
+    const next = events[i + 1];
+    const canSplit = event.index !== null && next && next.index !== null && event.duration >= 2 && event.duration % 2 === 0;
+    let chromaticTone = null;
+
+    if (canSplit && random() < 0.35) {
+      const pitch = getSemitonePitch(event.index, event.alteration);
+      const nextPitch = getSemitonePitch(next.index, next.alteration);
+      const step = next.index - event.index;
+
+      if (Math.abs(step) === 1 && Math.abs(nextPitch - pitch) === 2) {
+        // Passing tone: same letter raised going up, lowered going down
+        chromaticTone = { index: event.index, alteration: event.alteration + step };
+      } else if (step === 0 && nextPitch === pitch) {
+        // Neighbor tone: a half step below, or above when that note is already in the key
+        const neighbors = [-1, 1].map(direction => ({
+          index: event.index + direction,
+          alteration: pitch + direction - getSemitonePitch(event.index + direction, 0)
+        }));
+        chromaticTone = neighbors.find(neighbor => neighbor.alteration !== keyAccidentals[letterAt(neighbor.index)]) || null;
+      }
+
+      // Skip double accidentals and spellings like B# or Fb for a white key
+      const whiteKeyPitches = [0, 2, 4, 5, 7, 9, 11];
+      if (chromaticTone && (Math.abs(chromaticTone.alteration) > 1 || (chromaticTone.alteration !== 0 &&
+        whiteKeyPitches.includes(((getSemitonePitch(chromaticTone.index, chromaticTone.alteration) % 12) + 12) % 12)))) {
+        chromaticTone = null;
+      }
+    }
+
+    if (chromaticTone) {
+      result.push({ ...event, duration: event.duration / 2 });
+      result.push({ ...chromaticTone, duration: event.duration / 2 });
+    } else {
+      result.push(event);
+    }
+  });
+
+  return renderVoiceEvents(result, timeSignature, keyAccidentals);
+}
+
+/**
+ * Replace some notes of a measure with rests of the same length
+ * Half rests go on the first or second half of the bar, quarter rests on an even
+ * eighth within one beat and eighth rests on any eighth. Tied notes,
+ * notes with accidentals and tuplet notes are kept, as is at least one note per measure.
+ * @param {string} measure - ABC measure
+ * @param {string} restDensity - How often notes become rests ('none', 'light', 'heavy')
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
+ * @param {number} totalBeatsPerMeasure - Total beats in measure
+ * @returns {string} ABC measure with rests
+ */
+function addRests(measure, restDensity, timeSignature, totalBeatsPerMeasure) {
+  const restChance = { 'light': 0.12, 'heavy': 0.3 }[restDensity] || 0;
+  if (restChance === 0) {
+    return measure;
+  }
+
+  const meterGrid = getMeterGrid(timeSignature);
+  const events = findMeasureEvents(measure);
+  let notesLeft = events.filter(event => !event.isRest).length;
+  const replacements = [];
+
+  // A tie after the note or chord, or on a held note inside the chord, must reach the next event
+  const holdsTie = event => measure[event.noteEnd] === '-' || measure.slice(event.index, event.noteEnd).includes('-');
+
+  events.forEach((event, i) => {
+    const next = events[i + 1];
+    const duration = (next ? next.position : totalBeatsPerMeasure) - event.position;
+    const previousIsRest = i > 0 && (events[i - 1].isRest || replacements.some(r => r.index === events[i - 1].index));
+    const onSensibleBeat =
+      (duration === 4 && event.position % 4 === 0 && meterGrid.beatLength % 2 === 0) ||
+      (duration === 2 && event.position % 2 === 0 && splitRhythmAtBeats(event.position, 2, meterGrid, true).length === 1) ||
+      (duration === 1 && Number.isInteger(event.position));
+
+    if (event.isRest || (i > 0 && holdsTie(events[i - 1])) || holdsTie(event) || previousIsRest ||
+        /[_^=]/.test(measure.slice(event.index, event.noteEnd)) || !onSensibleBeat || notesLeft <= 1) {
+      return;
+    }
+    if (random() < restChance) {
+      replacements.push({ index: event.index, noteEnd: event.noteEnd, value: 'z' + formatEighthDuration(duration) });
+      notesLeft--;
+    }
+  });
+
+  return replacements
+    .reverse()
+    .reduce((result, { index, noteEnd, value }) => result.slice(0, index) + value + result.slice(noteEnd), measure);
+}
+
+/**
+ * Generate the final measure of a cadence: the tonic held for the whole measure
+ * Hands playing single notes hold the tonic, other patterns hold the tonic triad.
+ * @param {string} clef - 'treble' or 'bass'
+ * @param {string} pattern - Pattern ID of the hand ('single-notes' holds one note)
+ * @param {string} key - Musical key
+ * @param {number} totalBeatsPerMeasure - Total beats in measure
+ * @param {string} timeSignature - Time signature (e.g., '4/4')
+ * @param {Object} rangeIndices - Optional range constraints { minIndex, maxIndex }
+ * @returns {string} ABC measure
+ */
+function generateCadenceMeasure(clef, pattern, key, totalBeatsPerMeasure, timeSignature, rangeIndices = null) {
+  const notes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const tonicIndex = notes.indexOf(key.charAt(0));
+  const isChord = pattern !== 'single-notes';
+  const chordSpan = isChord ? 4 : 0;
+
+  // Treble from middle C up; bass an octave lower, or two for chords on the higher tonics
+  let root = clef === 'treble' ? tonicIndex : tonicIndex - (isChord && tonicIndex >= 3 ? 14 : 7);
+  if (rangeIndices) {
+    while (root + chordSpan > rangeIndices.maxIndex && root - 7 >= rangeIndices.minIndex) root -= 7;
+    while (root < rangeIndices.minIndex) root += 7;
+  }
+
+  const written = isChord
+    ? `[${[0, 2, 4].map(step => convertNoteIndexToABC(root + step, 0, null)).join('')}]`
+    : convertNoteIndexToABC(root, 0, null);
+
+  // Values that cannot be written as one note are tied at the beat
+  const pieces = splitRhythmAtBeats(0, totalBeatsPerMeasure, getMeterGrid(timeSignature));
+  return pieces.map(piece => written + formatEighthDuration(piece)).join('-') + '|';
+}
@@ -0,0 +1,169 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRandomABC, AVAILABLE_TIME_SIGNATURES } from './musicGenerator.js';
+
+// The generator logs every exercise it writes
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+/**
+ * Length of a time signature in eighth notes
+ * @param {string} timeSignature - Time signature (e.g., '7/8')
+ * @returns {number} Eighth notes per measure
+ */
+function measureLength(timeSignature) {
+  const [beatsPerMeasure, beatUnit] = timeSignature.split('/').map(Number);
+  return beatsPerMeasure * (8 / beatUnit);
+}
+
+/**
+ * Length of every measure of every voice of an exercise, in eighth notes
+ * Notes struck together advance the voice by the shortest of them (a held note sounds on
+ * under the moving ones), and a held note that outlasts them sets where the measure ends.
+ * @param {Object[]} noteMetadata - Note metadata from generateRandomABC
+ * @returns {Object} Length keyed by 'voiceIndex|measureIndex'
+ */
+function measureLengths(noteMetadata) {
+  const attackLengths = {};
+  const lengths = {};
+  noteMetadata.forEach(note => {
+    const attack = `${note.voiceIndex}|${note.measureIndex}|${note.startTime}`;
+    attackLengths[attack] = Math.min(attackLengths[attack] ?? Infinity, note.duration);
+  });
+  Object.entries(attackLengths).forEach(([attack, duration]) => {
+    const measure = attack.split('|').slice(0, 2).join('|');
+    lengths[measure] = (lengths[measure] || 0) + duration;
+  });
+  noteMetadata.forEach(note => {
+    const measure = `${note.voiceIndex}|${note.measureIndex}`;
+    lengths[measure] = Math.max(lengths[measure], note.startTime + note.duration);
+  });
+  return lengths;
+}
+
+/**
+ * Assert that every measure of an exercise is exactly as long as its meter
+ * @param {Object} options - Options the exercise was generated with
+ */
+function assertFullMeasures(options) {
+  const { noteMetadata, measureMeters } = generateRandomABC(options);
+  Object.entries(measureLengths(noteMetadata)).forEach(([measure, length]) => {
+    const measureIndex = Number(measure.split('|')[1]);
+    if (options.pickupMeasure && measureIndex === 0) return;
+    assert.equal(length, measureLength(measureMeters[measureIndex]), `measure ${measure} of ${JSON.stringify(options)}`);
+  });
+}
+
+test('the same seed and options always produce the same exercise', () => {
+  const options = { seed: 'student-42', key: 'D', timeSignature: '6/8', measures: 6, restDensity: 'light', tiedNotes: true };
+  const first = generateRandomABC(options);
+  const second = generateRandomABC(options);
+
+  // Note ids keep counting up across exercises so every rendered note stays unique
+  const withoutIds = noteMetadata => noteMetadata.map(note => ({ ...note, id: null }));
+  assert.equal(second.abcNotation, first.abcNotation);
+  assert.deepEqual(withoutIds(second.noteMetadata), withoutIds(first.noteMetadata));
+  assert.equal(second.seed, first.seed);
+});
+
+test('the returned seed regenerates an exercise made without one', () => {
+  const options = { measures: 4, rightHandPatterns: ['intervals'], leftHandPatterns: ['alberti-bass'] };
+  const original = generateRandomABC(options);
+  const replayed = generateRandomABC({ ...options, seed: original.seed });
+
+  assert.equal(replayed.abcNotation, original.abcNotation);
+});
+
+test('different seeds produce different exercises', () => {
+  const exercises = new Set([1, 2, 3, 4, 5].map(seed => generateRandomABC({ seed, measures: 4 }).abcNotation));
+  assert.equal(exercises.size, 5);
+});
+
+test('dotted 16th values never overflow a measure without 16ths to complete them', () => {
+  assertFullMeasures({ seed: 1, timeSignature: '2/2', noteDurations: ['1/8', '3/16'] });
+  assertFullMeasures({ seed: 1, timeSignature: '4/4', rightHandPatterns: ['octaves'], noteDurations: ['1/8', '3/16'] });
+});
+
+test('a measure no selected value can complete ends with a rest and a warning', () => {
+  const { abcNotation, warnings } = generateRandomABC({ seed: 1, timeSignature: '2/2', measures: 2, noteDurations: ['1/8', '3/16'] });
+  assert.match(abcNotation, /z\/2\|/);
+  assert.ok(warnings.some(warning => warning.includes('end with a rest')));
+});
+
+test('every pattern fills its measures in every meter', () => {
+  const rightHandPatterns = ['single-notes', 'intervals', 'octaves', '3-note-chords', '4-note-chords', 'arpeggios', 'held-note-melody'];
+  const leftHandPatterns = ['single-notes', 'block-chords', 'alberti-bass', 'octaves', 'walking-bass', 'broken-chords', 'pedal-tone'];
+  const durationSets = [['1/8', '3/16'], ['3/16'], ['1/4', '3/8'], ['1/2', '1'], ['1/16', '1/8', '1/4']];
+
+  AVAILABLE_TIME_SIGNATURES.forEach((timeSignature, i) => {
+    durationSets.forEach((noteDurations, j) => {
+      assertFullMeasures({
+        seed: i * durationSets.length + j,
+        measures: 4,
+        timeSignature,
+        noteDurations,
+        rightHandPatterns: [rightHandPatterns[(i + j) % rightHandPatterns.length]],
+        leftHandPatterns: [leftHandPatterns[(i + 2 * j) % leftHandPatterns.length]]
+      });
+    });
+  });
+});
+
+test('chord practice on a single staff warns that the left hand is left out', () => {
+  const { abcNotation, warnings } = generateRandomABC({ seed: 1, practiceMode: 'chords', staffMode: 'alto', measures: 2 });
+  assert.doesNotMatch(abcNotation, /V:2/);
+  assert.ok(warnings.some(warning => warning.includes('left-hand pattern is left out')));
+});
+
+test('the leap limit also holds for interval and octave patterns', () => {
+  ['intervals', 'octaves'].forEach(pattern => {
+    const { noteMetadata } = generateRandomABC({
+      seed: 7, measures: 4, rightHandPatterns: [pattern], intervals: [2, 5], noteDurations: ['1/8'], maxConsecutiveLeaps: 0
+    });
+    for (let measureIndex = 0; measureIndex < 4; measureIndex++) {
+      // Follow the lower note of each interval or octave
+      const lowest = {};
+      noteMetadata.filter(note => note.voiceIndex === 0 && note.measureIndex === measureIndex && !note.isRest).forEach(note => {
+        lowest[note.startTime] = Math.min(lowest[note.startTime] ?? Infinity, note.midiPitch);
+      });
+      const line = Object.keys(lowest).map(Number).sort((a, b) => a - b).map(time => lowest[time]);
+      line.slice(1).forEach((pitch, i) => assert.ok(Math.abs(pitch - line[i]) < 5, `${pattern} leaps from ${line[i]} to ${pitch}`));
+    }
+  });
+});
+
+test('a chord rhythm without a template for the meter strikes the chord on every beat', () => {
+  const { noteMetadata, warnings } = generateRandomABC({ seed: 2, practiceMode: 'chords', timeSignature: '4/4', chordRhythms: ['jazz-waltz'], measures: 2 });
+  const attacks = new Set(noteMetadata.filter(note => note.voiceIndex === 0 && note.measureIndex === 0).map(note => `${note.startTime}:${note.duration}`));
+  assert.deepEqual([...attacks], ['0:2', '2:2', '4:2', '6:2']);
+  assert.ok(warnings.includes('Jazz Waltz chord rhythm does not fit 4/4, using one chord per beat'));
+});
+
+test('an invalid custom progression falls back to the presets with a warning', () => {
+  const { warnings } = generateRandomABC({ seed: 1, practiceMode: 'chords', customProgression: 'I XYZ V', measures: 2 });
+  assert.ok(warnings.some(warning => warning.startsWith('Invalid custom progression, using presets instead')));
+});
+
+test('a melody over a held note stays above it and keeps the bar length', () => {
+  const exercises = [
+    { rightHandPatterns: ['held-note-melody'], noteRange: { treble: { min: 'C5', max: 'C6' } } },
+    { leftHandPatterns: ['pedal-tone'], key: 'Bb', noteRange: { bass: { min: 'C3', max: 'C4' } } }
+  ];
+  ['4/4', '5/8', '11/8'].forEach(timeSignature => {
+    exercises.forEach((options, i) => {
+      [1, 2, 3, 4, 5].forEach(seed => {
+        const exerciseOptions = { ...options, seed, timeSignature, measures: 4 };
+        assertFullMeasures(exerciseOptions);
+
+        const voiceIndex = i === 0 ? 0 : 1;
+        const notes = generateRandomABC(exerciseOptions).noteMetadata.filter(note => note.voiceIndex === voiceIndex && !note.isRest);
+        for (let measureIndex = 0; measureIndex < 4; measureIndex++) {
+          const measureNotes = notes.filter(note => note.measureIndex === measureIndex);
+          const held = measureNotes.filter(note => note.startTime === 0).reduce((lowest, note) => (note.midiPitch < lowest.midiPitch ? note : lowest));
+          measureNotes.filter(note => note !== held).forEach(note => assert.ok(note.midiPitch > held.midiPitch,
+            `${note.abcNotation} is not above the held ${held.abcNotation} in measure ${measureIndex} of ${JSON.stringify(exerciseOptions)}`));
+        }
+      });
+    });
+  });
+});